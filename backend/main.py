@@ -1,6 +1,7 @@
 # backend/main.py
 from fastapi import FastAPI, Request, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from pydantic import BaseModel
 from typing import List, Dict, Any, Optional
 import requests, json, re, hashlib, time
@@ -26,12 +27,49 @@ app.add_middleware(
 class SpellcheckRequest(BaseModel):
     text: str
     model: Optional[str] = MODEL_DEFAULT
+    # BCP 47 code chosen by the extension; None lets the model guess
+    language: Optional[str] = None
+    # rendered tone profile from the extension ("" / None = standard)
+    instructions: Optional[str] = None
     # for long text we’ll chunk (server-side) so frontend stays light
     max_chunk_chars: int = 1600
 
 class CorrectRequest(BaseModel):
     text: str
     model: Optional[str] = MODEL_DEFAULT
+    language: Optional[str] = None
+    instructions: Optional[str] = None
+
+class RewriteRequest(BaseModel):
+    text: str
+    # one of REWRITE_ACTIONS
+    action: str
+    model: Optional[str] = MODEL_DEFAULT
+    language: Optional[str] = None
+    instructions: Optional[str] = None
+    # BCP 47 code; only used by "translate"
+    target: Optional[str] = None
+
+# Keys match REWRITE_ACTIONS in the extension's background worker
+REWRITE_ACTIONS = {
+    "shorten": "Shorten the passage: keep its meaning and key details, drop filler and repetition.",
+    "expand": "Expand the passage with relevant detail and smoother transitions, without inventing facts.",
+    "simplify": "Simplify the passage: shorter sentences and plain, everyday words.",
+    "formal": "Make the passage more formal and professional without changing its meaning.",
+    "translate": "Translate the passage into the language with code \"{target}\", keeping its tone, formatting and line breaks.",
+}
+
+def _language_line(language: Optional[str]) -> str:
+    if not language:
+        return ""
+    return (f"The text is written in the language with code \"{language}\". "
+            "Judge it by that language's spelling and grammar, and keep suggestions in that language.")
+
+def _profile_line(instructions: Optional[str]) -> str:
+    return f"Writing profile: {instructions}" if instructions else ""
+
+def _cache_scope(model: str, language: Optional[str], instructions: Optional[str] = None) -> str:
+    return "|".join([model, language or "", instructions or ""])
 
 def _hash_key(model: str, text: str) -> str:
     return hashlib.sha256((model + "||" + text).encode("utf-8")).hexdigest()
@@ -51,25 +89,31 @@ def _cache_set(model: str, text: str, value: Any):
     key = _hash_key(model, text)
     CACHE[key] = (time.time(), value)
 
-def _ollama_generate(model: str, prompt: str) -> str:
+def _ollama_stream(model: str, prompt: str):
     """
-    Calls Ollama streaming API and returns the concatenated response text.
+    Calls Ollama streaming API and yields response pieces as they arrive.
     """
     url = f"{OLLAMA_URL}/api/generate"
     with requests.post(url, json={"model": model, "prompt": prompt}, stream=True, timeout=TIMEOUT) as r:
         r.raise_for_status()
-        chunks = []
         for line in r.iter_lines():
             if not line:
                 continue
             try:
                 obj = json.loads(line.decode("utf-8"))
-                # Each line: {"response": "...", "done": false/true, ...}
-                chunks.append(obj.get("response", ""))
             except Exception:
                 # ignore malformed
                 continue
-        return "".join(chunks)
+            # Each line: {"response": "...", "done": false/true, ...}
+            piece = obj.get("response", "")
+            if piece:
+                yield piece
+
+def _ollama_generate(model: str, prompt: str) -> str:
+    """
+    Calls Ollama streaming API and returns the concatenated response text.
+    """
+    return "".join(_ollama_stream(model, prompt))
 
 def _extract_json_list(text: str) -> list:
     """
@@ -103,6 +147,16 @@ def chunk_text(s: str, max_chars: int) -> List[str]:
     
     return parts
 
+@app.get("/loaded")
+def loaded():
+    # models currently held in memory by Ollama (cold ones pay a load on first use)
+    try:
+        r = requests.get(f"{OLLAMA_URL}/api/ps", timeout=5)
+        r.raise_for_status()
+        return {"models": [m.get("name") for m in r.json().get("models", [])]}
+    except Exception as e:
+        raise HTTPException(500, f"Failed to fetch loaded models: {e}")
+
 @app.get("/health")
 def health():
     # touch Ollama’s /api/tags to confirm it’s up
@@ -127,12 +181,13 @@ def models():
 @app.post("/spellcheck")
 def spellcheck(req: SpellcheckRequest):
     """
-    Returns [{"word":"xxx","suggestions":["..."],"positions":[[start,end],...]}, ...]
+    Returns [{"word":"xxx","suggestions":["..."],"positions":[[start,end],...],"category":"spelling","reason":"..."}, ...]
     Positions are best-effort by naive scan (per chunk), merged back to global indices.
     """
     model = req.model or MODEL_DEFAULT
     text = req.text or ""
-    cached = _cache_get(model, text)
+    scope = _cache_scope(model, req.language, req.instructions)
+    cached = _cache_get(scope, text)
     if cached is not None:
         return {"corrections": cached}
 
@@ -146,14 +201,22 @@ def spellcheck(req: SpellcheckRequest):
         prompt = f"""
         You are a strict spell and grammar checker.
         Your task is to identify every misspelled or grammatically incorrect word in the provided text and return a valid JSON array of corrections.
+        {_language_line(req.language)}
+        {_profile_line(req.instructions)}
 
         Each element in the array must be an object with:
-        - "misspelled_word": the exact incorrect word (as it appears in the text)
+        - "misspelled_word": the exact incorrect word or phrase (as it appears in the text)
         - "suggestion": the correct replacement (as a string)
+        - "category": one of "spelling", "grammar", "punctuation", "style"
+        - "reason": a short explanation (a few words)
+
+        A grammar fix may span several words. For a missing word, quote the words around the gap and put them back with the word added; for a repeated word, quote the repetition and give it once.
 
         Output Format:
         [
-            {{"misspelled_word": "mispelled", "suggestion": "misspelled"}}
+            {{"misspelled_word": "mispelled", "suggestion": "misspelled", "category": "spelling", "reason": "typo"}},
+            {{"misspelled_word": "went store", "suggestion": "went to the store", "category": "grammar", "reason": "missing words"}},
+            {{"misspelled_word": "the the", "suggestion": "the", "category": "grammar", "reason": "repeated word"}}
         ]
 
         Text:
@@ -162,7 +225,7 @@ def spellcheck(req: SpellcheckRequest):
         CRITICAL RULES:
         1. Never return anything except a valid JSON array.
         2. The "suggestion" value must always be a single string — never an array.
-        3. Do not modify or auto-correct the input text; only report incorrect words.
+        3. Do not modify or auto-correct the input text; only report incorrect words and phrases (at most a few words each).
         4. Always infer the correct spelling or grammar based on context.
         5. Do not include suggestions for words that are already correct.
         """
@@ -170,7 +233,7 @@ def spellcheck(req: SpellcheckRequest):
         raw = _ollama_generate(model, prompt)
         arr = _extract_json_list(raw)
         print('arr:', arr)
-        # Compute positions per chunk (best-effort exact word matches, case-insensitive)
+        # Compute positions per chunk (best-effort whole-word/phrase matches, case-insensitive, any spacing)
         for item in arr:
             w = item.get("misspelled_word")
             sugg = item.get("suggestion")
@@ -179,7 +242,8 @@ def spellcheck(req: SpellcheckRequest):
             positions = []
             
             print("Finding occurrences of:", w)
-            for m in re.finditer(rf"\b{re.escape(w)}\b", ch, flags=re.IGNORECASE):
+            phrase = r"\s+".join(re.escape(part) for part in w.split())
+            for m in re.finditer(rf"\b{phrase}\b", ch, flags=re.IGNORECASE):
                 positions.append([offset + m.start(), offset + m.end()])
 
             print("Positions:", positions)
@@ -187,7 +251,13 @@ def spellcheck(req: SpellcheckRequest):
             # merge into global dict by lowercase key
             key = w.lower()
             if key not in corrections_global:
-                corrections_global[key] = {"word": w, "suggestions": sugg, "positions": positions}
+                corrections_global[key] = {
+                    "word": w,
+                    "suggestions": sugg,
+                    "positions": positions,
+                    "category": str(item.get("category") or "spelling").lower(),
+                    "reason": str(item.get("reason") or ""),
+                }
             else:
                 # merge positions and suggestions
                 corrections_global[key]["positions"].extend(positions)
@@ -200,9 +270,20 @@ def spellcheck(req: SpellcheckRequest):
         offset += len(ch)
 
     result = list(corrections_global.values())
-    _cache_set(model, text, result)
+    _cache_set(scope, text, result)
     return {"corrections": result}
 
+def _correct_prompt(req: CorrectRequest) -> str:
+    return f"""
+Correct spelling and grammar of the following text while preserving tone & meaning.
+{_language_line(req.language)}
+{_profile_line(req.instructions)}
+Return ONLY the corrected text, no JSON, no commentary.
+
+Text:
+\"\"\"{req.text}\"\"\"
+"""
+
 @app.post("/correct")
 def correct(req: CorrectRequest):
     """
@@ -210,17 +291,70 @@ def correct(req: CorrectRequest):
     """
     model = req.model or MODEL_DEFAULT
     text = req.text or ""
-    cached = _cache_get(model, "AUTO|" + text)
+    scope = _cache_scope(model, req.language, req.instructions)
+    cached = _cache_get(scope, "AUTO|" + text)
+    if cached is not None:
+        return {"text": cached}
+
+    corrected = _ollama_generate(model, _correct_prompt(req)).strip()
+    _cache_set(scope, "AUTO|" + text, corrected)
+    return {"text": corrected}
+
+@app.post("/correct/stream")
+def correct_stream(req: CorrectRequest):
+    """
+    Same as /correct, streamed as NDJSON lines {"response": "..."} (Ollama's format) so the
+    extension can show the text as it is generated. The full result is cached once complete.
+    """
+    model = req.model or MODEL_DEFAULT
+    text = req.text or ""
+    scope = _cache_scope(model, req.language, req.instructions)
+    cached = _cache_get(scope, "AUTO|" + text)
+
+    def lines():
+        if cached is not None:
+            yield json.dumps({"response": cached}) + "\n"
+            return
+        pieces = []
+        try:
+            for piece in _ollama_stream(model, _correct_prompt(req)):
+                pieces.append(piece)
+                yield json.dumps({"response": piece}) + "\n"
+        except Exception as e:
+            # the 200 is already sent; an error line (Ollama's own format) is all the client can get
+            yield json.dumps({"error": f"Failed to generate correction: {e}"}) + "\n"
+            return
+        _cache_set(scope, "AUTO|" + text, "".join(pieces).strip())
+
+    return StreamingResponse(lines(), media_type="application/x-ndjson")
+
+@app.post("/rewrite")
+def rewrite(req: RewriteRequest):
+    """
+    Rewrites a selected passage (shorten, expand, simplify, formal, translate) — returns the new passage.
+    """
+    if req.action not in REWRITE_ACTIONS:
+        raise HTTPException(400, f"Unknown rewrite action: {req.action}")
+    model = req.model or MODEL_DEFAULT
+    text = req.text or ""
+    target = (req.target or "en") if req.action == "translate" else ""
+    scope = _cache_scope(model, req.language, req.instructions) + "|" + target
+    cached = _cache_get(scope, f"RW:{req.action}|" + text)
     if cached is not None:
         return {"text": cached}
 
+    task = REWRITE_ACTIONS[req.action].format(target=target)
+    # a translation's source language needs no "keep it in that language" line
+    language_line = "" if req.action == "translate" else _language_line(req.language)
     prompt = f"""
-Correct spelling and grammar of the following text while preserving tone & meaning.
-Return ONLY the corrected text, no JSON, no commentary.
+You are a careful editor. {task}
+{language_line}
+{_profile_line(req.instructions)}
+Return ONLY the rewritten passage, no quotes, no commentary.
 
-Text:
+Passage:
 \"\"\"{text}\"\"\"
 """
-    corrected = _ollama_generate(model, prompt).strip()
-    _cache_set(model, "AUTO|" + text, corrected)
-    return {"text": corrected}
+    rewritten = _ollama_generate(model, prompt).strip()
+    _cache_set(scope, f"RW:{req.action}|" + text, rewritten)
+    return {"text": rewritten}
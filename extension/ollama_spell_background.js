@@ -1,75 +1,1118 @@
 // background.js
-const API_BASE = "http://localhost:8000";
-const SESSION_CACHE_TTL = 60000; // 60s
-const sessionCache = new Map(); // key -> {ts, value}
+importScripts("ollama_spell_settings.js");
+// Stored settings are upgraded once per install/update; readers migrate in memory meanwhile
+chrome.runtime.onInstalled.addListener(() => migrateStoredSettings());
 
-function cacheKeySpell(text, model) {
-  return `SC|${model}|${text}`;
+const API_BASE = "http://localhost:8000";          // FastAPI proxy (default "proxy server" mode)
+const OLLAMA_BASE = "http://localhost:11434";      // default for "direct Ollama" mode
+
+/* =========================
+   PERSISTENT CACHE (IndexedDB, LRU by entries/bytes)
+========================= */
+// Not chrome.storage: every write there wakes each frame's storage.onChanged listener.
+// Rows live in "rows" under "cc:<sha256>" keys; meta "index" tracks their age/size plus hit stats.
+const CACHE_DB = "ollama-spell-cache";
+let cacheDbReady = null;
+let cacheIndexReady = null;  // Promise<{ entries: { key: { ts, used, bytes } }, hits, misses }>
+let cacheFlushTimer = null;
+
+function openCacheDb() {
+  if (!cacheDbReady) {
+    cacheDbReady = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CACHE_DB, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore("rows");
+        req.result.createObjectStore("meta");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return cacheDbReady;
 }
-function cacheKeyAuto(text, model) {
-  return `AC|${model}|${text}`;
+
+// run(rows, meta) queues requests on one transaction; resolves with what run returned once it commits
+async function cacheTx(mode, run) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["rows", "meta"], mode);
+    const out = run(tx.objectStore("rows"), tx.objectStore("meta"));
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
 }
-function cacheGet(key) {
-  const row = sessionCache.get(key);
-  if (!row) return null;
-  if (Date.now() - row.ts > SESSION_CACHE_TTL) {
-    sessionCache.delete(key);
-    return null;
+
+function loadCacheIndex() {
+  if (!cacheIndexReady) {
+    cacheIndexReady = cacheTx("readonly", (rows, meta) => meta.get("index")).then((req) =>
+      req.result && req.result.entries ? req.result : { entries: {}, hits: 0, misses: 0 }
+    );
   }
-  return row.value;
+  return cacheIndexReady;
 }
-function cacheSet(key, value) {
-  sessionCache.set(key, { ts: Date.now(), value });
+
+async function getCacheConfig() {
+  const cfg = await loadSettings();
+  return { ttlMs: cfg.cacheTtlMin * 60000, maxEntries: cfg.cacheMaxEntries, maxBytes: cfg.cacheMaxKB * 1024 };
 }
 
-async function apiGet(path) {
-  const r = await fetch(`${API_BASE}${path}`);
-  if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
+async function cacheKey(kind, model, text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${kind}|${model}|${text}`));
+  return "cc:" + Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// LRU touches and hit counters are flushed lazily; entry writes flush the index immediately
+function scheduleCacheFlush() {
+  clearTimeout(cacheFlushTimer);
+  cacheFlushTimer = setTimeout(async () => {
+    const idx = await loadCacheIndex();
+    cacheTx("readwrite", (rows, meta) => meta.put(idx, "index")).catch(() => {});
+  }, 1000);
+}
+
+// Returns values aligned with keys (null for misses/expired)
+async function cacheGetMany(keys) {
+  const idx = await loadCacheIndex();
+  const { ttlMs } = await getCacheConfig();
+  const now = Date.now();
+  const live = keys.filter((k) => idx.entries[k] && now - idx.entries[k].ts <= ttlMs);
+  const reqs = live.length ? await cacheTx("readonly", (rows) => live.map((k) => rows.get(k))) : [];
+  const rows = {};
+  live.forEach((k, i) => (rows[k] = reqs[i].result));
+
+  const out = keys.map((k) => {
+    const row = rows[k];
+    if (!row) {
+      idx.misses++;
+      return null;
+    }
+    idx.hits++;
+    idx.entries[k].used = now;
+    return row.v;
+  });
+  scheduleCacheFlush();
+  return out;
+}
+
+async function cacheSetMany(pairs) {
+  if (!pairs.length) return;
+  const idx = await loadCacheIndex();
+  const cfg = await getCacheConfig();
+  const now = Date.now();
+  const rows = {};
+  pairs.forEach(([k, v]) => {
+    rows[k] = { v };
+    idx.entries[k] = { ts: now, used: now, bytes: k.length + JSON.stringify(rows[k]).length };
+  });
+  const evicted = evictCache(idx, cfg, now);
+  evicted.forEach((k) => delete rows[k]);
+  clearTimeout(cacheFlushTimer);
+  await cacheTx("readwrite", (store, meta) => {
+    Object.entries(rows).forEach(([k, row]) => store.put(row, k));
+    evicted.forEach((k) => store.delete(k));
+    meta.put(idx, "index");
+  });
+}
+
+// Drop expired rows, then least-recently-used ones until both limits hold
+function evictCache(idx, { ttlMs, maxEntries, maxBytes }, now) {
+  const evicted = [];
+  const keys = Object.keys(idx.entries).sort((a, b) => idx.entries[a].used - idx.entries[b].used);
+  let count = keys.length;
+  let bytes = keys.reduce((n, k) => n + idx.entries[k].bytes, 0);
+  for (const k of keys) {
+    const meta = idx.entries[k];
+    if (now - meta.ts <= ttlMs && count <= maxEntries && bytes <= maxBytes) continue;
+    evicted.push(k);
+    delete idx.entries[k];
+    count--;
+    bytes -= meta.bytes;
+  }
+  return evicted;
+}
+
+async function cacheStats() {
+  const idx = await loadCacheIndex();
+  const keys = Object.keys(idx.entries);
+  const lookups = idx.hits + idx.misses;
+  return {
+    entries: keys.length,
+    bytes: keys.reduce((n, k) => n + idx.entries[k].bytes, 0),
+    hits: idx.hits,
+    misses: idx.misses,
+    hitRate: lookups ? idx.hits / lookups : 0,
+  };
+}
+
+async function cacheClear() {
+  clearTimeout(cacheFlushTimer);
+  const idx = { entries: {}, hits: 0, misses: 0 };
+  cacheIndexReady = Promise.resolve(idx);
+  await cacheTx("readwrite", (rows, meta) => {
+    rows.clear();
+    meta.put(idx, "index");
+  });
+}
+
+/* =========================
+   PARAGRAPH-LEVEL SPELLCHECK CACHING
+========================= */
+const PARAGRAPH_JOIN = "\n\n";
+
+// Same text checked as a different language or with other profile instructions is a different result
+function cacheScope({ model, language, instructions }) {
+  return [model, language || "", instructions || ""].join("|");
+}
+
+// Non-blank lines with their offsets; each one is cached on its own
+function splitParagraphs(text) {
+  const out = [];
+  for (const m of text.matchAll(/[^\n]+/g)) {
+    if (m[0].trim()) out.push({ text: m[0], start: m.index });
+  }
+  return out;
+}
+
+// Only paragraphs missing from the cache go to the model (as one joined request via check)
+async function spellcheckCached(text, opts, check) {
+  const paras = splitParagraphs(text);
+  const keys = await Promise.all(paras.map((p) => cacheKey("SC", cacheScope(opts), p.text)));
+  const found = await cacheGetMany(keys);
+  const missIdx = paras.map((_, i) => i).filter((i) => found[i] === null);
+
+  if (missIdx.length) {
+    let joined = "";
+    const starts = missIdx.map((i, j) => {
+      if (j) joined += PARAGRAPH_JOIN;
+      const at = joined.length;
+      joined += paras[i].text;
+      return at;
+    });
+    const perPara = missIdx.map(() => new Map());
+    for (const c of await check(joined)) {
+      for (const pos of c.positions || []) {
+        const j = starts.findIndex((at, n) => pos[0] >= at && pos[1] <= at + paras[missIdx[n]].text.length);
+        if (j === -1) continue;
+        const key = String(c.word || "").toLowerCase();
+        const bucket = perPara[j];
+        if (!bucket.has(key)) bucket.set(key, { ...c, positions: [] });
+        bucket.get(key).positions.push([pos[0] - starts[j], pos[1] - starts[j]]);
+      }
+    }
+    const fresh = perPara.map((m) => Array.from(m.values()));
+    missIdx.forEach((i, j) => (found[i] = fresh[j]));
+    await cacheSetMany(missIdx.map((i, j) => [keys[i], fresh[j]]));
+  }
+
+  // Re-base paragraph-local positions onto the full text and merge by word
+  const byWord = new Map();
+  paras.forEach((p, i) => {
+    for (const c of found[i] || []) {
+      const key = String(c.word || "").toLowerCase();
+      if (!byWord.has(key)) byWord.set(key, { ...c, positions: [] });
+      const row = byWord.get(key);
+      (c.positions || []).forEach(([s, e]) => row.positions.push([s + p.start, e + p.start]));
+    }
+  });
+  return { corrections: Array.from(byWord.values()), cached: missIdx.length === 0 };
+}
+
+// fetch rejects with a TypeError only when no HTTP answer came (refused, DNS, dropped); that alone
+// means the backend is unreachable, unlike a bad body, an abort or a bug of ours
+async function fetchBackend(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (e) {
+    if (e instanceof TypeError) e.network = true;
+    throw e;
+  }
+}
+
+async function apiGet(base, path, signal) {
+  const r = await fetchBackend(`${base}${path}`, { signal });
+  if (!r.ok) throw httpError(r);
   return r.json();
 }
-async function apiPost(path, body) {
-  const r = await fetch(`${API_BASE}${path}`, {
+async function apiPost(base, path, body, signal) {
+  const r = await fetchBackend(`${base}${path}`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
+    signal,
   });
-  if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
+  if (!r.ok) throw httpError(r);
   return r.json();
 }
 
+// NDJSON body (Ollama's streaming format): onLine gets each parsed object as it arrives
+async function apiStream(base, path, body, signal, onLine) {
+  const r = await fetchBackend(`${base}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!r.ok) throw httpError(r);
+  const reader = r.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  const flush = (lines) => lines.forEach((line) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      return; // ignore malformed
+    }
+    if (obj.error) {
+      // An HTTP answer that failed mid-way (how the proxy reports Ollama errors once streaming):
+      // a status, so it only counts as offline if the health probe fails too
+      const e = new Error(obj.error);
+      e.status = 502;
+      throw e;
+    }
+    onLine(obj);
+  });
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    const lines = buf.split("\n");
+    buf = lines.pop();
+    flush(lines);
+  }
+  flush([buf + decoder.decode()]);
+}
+
+// The status lets the scheduler tell "server said no" (4xx) from "server is struggling" (5xx)
+function httpError(r) {
+  const e = new Error(`${r.status} ${r.statusText}`);
+  e.status = r.status;
+  return e;
+}
+
+/* =========================
+   BACKENDS (proxy server | direct Ollama)
+========================= */
+// Read per message: the service worker may have just woken up with no state
+async function getBackend() {
+  const cfg = await loadSettings();
+  return cfg.backendMode === "direct"
+    ? directBackend(trimBase(cfg.ollamaUrl) || OLLAMA_BASE)
+    : proxyBackend(trimBase(cfg.proxyUrl) || API_BASE);
+}
+
+function trimBase(url) {
+  return (url || "").trim().replace(/\/+$/, "");
+}
+
+function proxyBackend(base) {
+  return {
+    health: async () => (await apiGet(base, "/health")).ok === true,
+    models: async () => (await apiGet(base, "/models")).models || [],
+    loaded: async () => (await apiGet(base, "/loaded")).models || [],
+    spellcheck: async (text, opts, signal) =>
+      (await apiPost(base, "/spellcheck", { text, ...opts }, signal)).corrections || [],
+    correct: async (text, opts, signal) =>
+      (await apiPost(base, "/correct", { text, ...opts }, signal)).text || "",
+    rewrite: async (text, action, opts, signal) =>
+      (await apiPost(base, "/rewrite", { text, action, ...opts }, signal)).text || "",
+    correctStream: (text, opts, signal, onChunk) =>
+      streamPieces((onLine) => apiStream(base, "/correct/stream", { text, ...opts }, signal, onLine), onChunk),
+  };
+}
+
+function directBackend(base) {
+  return {
+    health: async () => {
+      await apiGet(base, "/api/tags");
+      return true;
+    },
+    models: async () => ((await apiGet(base, "/api/tags")).models || []).map((m) => m.name),
+    loaded: async () => ((await apiGet(base, "/api/ps")).models || []).map((m) => m.name),
+    spellcheck: (text, opts, signal) => spellcheckDirect(base, text, opts, signal),
+    correct: async (text, opts, signal) =>
+      (await ollamaGenerate(base, opts.model, buildCorrectPrompt(text, opts), signal)).trim(),
+    rewrite: async (text, action, opts, signal) =>
+      (await ollamaGenerate(base, opts.model, buildRewritePrompt(text, action, opts), signal)).trim(),
+    correctStream: (text, opts, signal, onChunk) => {
+      const body = { model: opts.model, prompt: buildCorrectPrompt(text, opts), stream: true };
+      return streamPieces((onLine) => apiStream(base, "/api/generate", body, signal, onLine), onChunk);
+    },
+  };
+}
+
+// Both backends stream { response: "piece" } lines; forward each piece, resolve with the trimmed whole
+async function streamPieces(stream, onChunk) {
+  let full = "";
+  await stream((obj) => {
+    if (!obj.response) return;
+    full += obj.response;
+    onChunk(obj.response);
+  });
+  return full.trim();
+}
+
+// What every backend call needs besides the text: model, language and the rendered tone profile.
+// msg.profile / msg.site are what the content script resolved for its page (site assignment or default).
+async function requestOptions(msg) {
+  const profile = findProfile(await loadSettings(), msg.profile);
+  const instructions = renderProfileTemplate(profile.template, {
+    language: msg.language ? languageName(msg.language) : "the text's own language",
+    site: msg.site || "",
+  });
+  const opts = { model: msg.model, language: msg.language, instructions };
+  // Only translations have a target; it also scopes their cache entries
+  if (msg.type === "REWRITE" && msg.action === "translate") opts.target = msg.target || "en";
+  return opts;
+}
+
+/* =========================
+   DIRECT OLLAMA MODE (mirrors backend/main.py)
+========================= */
+const MAX_CHUNK_CHARS = 1600;
+
+async function ollamaGenerate(base, model, prompt, signal) {
+  const data = await apiPost(base, "/api/generate", { model, prompt, stream: false }, signal);
+  return data.response || "";
+}
+
+function languageName(language) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(language) || language;
+  } catch {
+    return language;
+  }
+}
+
+// "The text is written in French (fr). ..." — empty when the language is unknown
+function languageLine(language) {
+  if (!language) return "";
+  return `The text is written in ${languageName(language)} (${language}). Judge it by that language's spelling and grammar, and keep suggestions in that language.`;
+}
+
+// The tone profile's rendered template — empty for "standard"
+function profileLine(instructions) {
+  return instructions ? `Writing profile: ${instructions}` : "";
+}
+
+function buildSpellPrompt(chunk, { language, instructions }) {
+  return `
+You are a strict spell and grammar checker.
+Your task is to identify every misspelled or grammatically incorrect word in the provided text and return a valid JSON array of corrections.
+${languageLine(language)}
+${profileLine(instructions)}
+
+Each element in the array must be an object with:
+- "misspelled_word": the exact incorrect word or phrase (as it appears in the text)
+- "suggestion": the correct replacement (as a string)
+- "category": one of "spelling", "grammar", "punctuation", "style"
+- "reason": a short explanation (a few words)
+
+A grammar fix may span several words. For a missing word, quote the words around the gap and put them back with the word added; for a repeated word, quote the repetition and give it once.
+
+Output Format:
+[
+    {"misspelled_word": "mispelled", "suggestion": "misspelled", "category": "spelling", "reason": "typo"},
+    {"misspelled_word": "went store", "suggestion": "went to the store", "category": "grammar", "reason": "missing words"},
+    {"misspelled_word": "the the", "suggestion": "the", "category": "grammar", "reason": "repeated word"}
+]
+
+Text:
+${chunk}
+
+CRITICAL RULES:
+1. Never return anything except a valid JSON array.
+2. The "suggestion" value must always be a single string — never an array.
+3. Do not modify or auto-correct the input text; only report incorrect words and phrases (at most a few words each).
+4. Always infer the correct spelling or grammar based on context.
+5. Do not include suggestions for words that are already correct.
+`;
+}
+
+function buildCorrectPrompt(text, { language, instructions }) {
+  return `
+Correct spelling and grammar of the following text while preserving tone & meaning.
+${languageLine(language)}
+${profileLine(instructions)}
+Return ONLY the corrected text, no JSON, no commentary.
+
+Text:
+"""${text}"""
+`;
+}
+
+// Selection rewrites; keys match REWRITE_LABELS in the content script
+const REWRITE_ACTIONS = {
+  shorten: "Shorten the passage: keep its meaning and key details, drop filler and repetition.",
+  expand: "Expand the passage with relevant detail and smoother transitions, without inventing facts.",
+  simplify: "Simplify the passage: shorter sentences and plain, everyday words.",
+  formal: "Make the passage more formal and professional without changing its meaning.",
+  translate: "Translate the passage into {target}, keeping its tone, formatting and line breaks.",
+};
+
+function buildRewritePrompt(text, action, { language, instructions, target }) {
+  const task = REWRITE_ACTIONS[action].replace("{target}", `${languageName(target || "en")} (${target || "en"})`);
+  return `
+You are a careful editor. ${task}
+${action === "translate" ? "" : languageLine(language)}
+${profileLine(instructions)}
+Return ONLY the rewritten passage, no quotes, no commentary.
+
+Passage:
+"""${text}"""
+`;
+}
+
+// First top-level JSON array in a possibly chatty LLM response
+function extractJsonList(text) {
+  const start = text.indexOf("[");
+  const end = text.lastIndexOf("]");
+  if (start === -1 || end === -1 || end <= start) return [];
+  try {
+    const arr = JSON.parse(text.slice(start, end + 1));
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+// Split on whitespace so that chunks.join("") === s and offsets stay exact
+function chunkText(s, maxChars) {
+  const parts = [];
+  let rest = s;
+  while (rest.length > maxChars) {
+    let cut = rest.lastIndexOf(" ", maxChars - 1);
+    if (cut <= 0) cut = maxChars;
+    else cut += 1; // keep the space with the left chunk
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-word, case-insensitive occurrences of word (or a phrase, with any run of spaces
+// between its words) in chunk, shifted to global offsets
+function findWordPositions(chunk, word, offset) {
+  const body = word.split(/\s+/).map(escapeRegExp).join("\\s+");
+  const re = new RegExp(`(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])`, "giu");
+  const out = [];
+  for (const m of chunk.matchAll(re)) out.push([offset + m.index, offset + m.index + m[0].length]);
+  return out;
+}
+
+async function spellcheckDirect(base, text, opts, signal) {
+  const byWord = new Map(); // lowercase word -> { word, suggestions, positions, category, reason }
+  let offset = 0;
+  for (const chunk of chunkText(text, MAX_CHUNK_CHARS)) {
+    const arr = extractJsonList(await ollamaGenerate(base, opts.model, buildSpellPrompt(chunk, opts), signal));
+    for (const item of arr) {
+      const w = item && typeof item.misspelled_word === "string" ? item.misspelled_word.trim() : "";
+      if (!w) continue;
+      const suggs = (Array.isArray(item.suggestion) ? item.suggestion : [item.suggestion])
+        .filter((x) => typeof x === "string" && x.trim());
+      const positions = findWordPositions(chunk, w, offset);
+      const category = typeof item.category === "string" ? item.category.toLowerCase() : "spelling";
+      const reason = typeof item.reason === "string" ? item.reason.trim() : "";
+
+      const key = w.toLowerCase();
+      if (!byWord.has(key)) {
+        byWord.set(key, { word: w, suggestions: suggs, positions, category, reason });
+        continue;
+      }
+      const row = byWord.get(key);
+      // The model may list the same word twice (e.g. different casing); positions must stay unique
+      positions.forEach((p) => row.positions.some((q) => q[0] === p[0]) || row.positions.push(p));
+      suggs.forEach((x) => row.suggestions.includes(x) || row.suggestions.push(x));
+    }
+    offset += chunk.length;
+  }
+  return Array.from(byWord.values());
+}
+
+/* =========================
+   REQUEST SCHEDULER (one live request per field, global cap, focused tab first)
+========================= */
+const MAX_CONCURRENT = 2;          // a single local Ollama serializes anyway; don't pile up
+const REQUEST_TIMEOUT_MS = 90000;
+const jobQueue = [];               // waiting jobs, FIFO within a priority class
+const jobsByKey = new Map();       // key -> queued or running job
+let runningJobs = 0;
+let focusedTabId = null;
+
+// "superseded" | "cancelled" | "stopped" | "tab-closed": reported to the content script, not as an error
+function cancelError(reason) {
+  const e = new Error(`Request ${reason}`);
+  e.cancelled = reason;
+  return e;
+}
+
+// One key per tab/frame/field/kind: a newer request for the same key aborts the older one
+function jobKey(sender, msg, kind) {
+  const tab = sender.tab ? sender.tab.id : "ext";
+  return `${tab}:${sender.frameId || 0}:${msg.fieldId || "-"}:${kind}`;
+}
+
+// Hashing and cache lookups come before schedule(), and two requests can finish them out of order.
+// A request claims its key the moment it arrives, so the newest one wins whichever schedules last.
+const jobClaims = new Map(); // job key -> token of the newest request for it
+
+function claimJob(key) {
+  const token = Symbol(key);
+  jobClaims.set(key, token);
+  cancelJob(key, "superseded");
+  return {
+    // Call after each await: a stale request stops before it reaches the scheduler or answers
+    check() {
+      if (jobClaims.get(key) !== token) throw cancelError(jobClaims.has(key) ? "superseded" : "cancelled");
+    },
+    release() {
+      if (jobClaims.get(key) === token) jobClaims.delete(key);
+    },
+  };
+}
+
+function schedule(key, tabId, run) {
+  cancelJob(key, "superseded");
+  // Known-down backend: fail fast; the content script queues the field and replays on recovery
+  if (connection.online === false) return Promise.reject(offlineError());
+  return new Promise((resolve, reject) => {
+    const job = { key, tabId, run, resolve, reject, controller: new AbortController(), running: false };
+    jobsByKey.set(key, job);
+    jobQueue.push(job);
+    pumpJobs();
+  });
+}
+
+function cancelJob(key, reason) {
+  const job = jobsByKey.get(key);
+  if (!job) return false;
+  jobsByKey.delete(key);
+  const err = cancelError(reason);
+  if (job.running) {
+    job.controller.abort(err); // the fetch rejects; finishJob reports it
+  } else {
+    jobQueue.splice(jobQueue.indexOf(job), 1);
+    job.reject(err);
+  }
+  return true;
+}
+
+// A long field's chunks run as "<fieldId>#<n>"; cancelling the field cancels all of them
+function cancelFieldJobs(sender, msg, kind) {
+  const own = jobKey(sender, msg, kind);
+  const chunks = own.slice(0, -(kind.length + 1)) + "#";
+  const isField = (key) => key === own || (key.startsWith(chunks) && key.endsWith(":" + kind));
+  Array.from(jobsByKey.keys()).forEach((key) => isField(key) && cancelJob(key, "cancelled"));
+  // Requests still hashing or looking up the cache never get to schedule
+  Array.from(jobClaims.keys()).forEach((key) => isField(key) && jobClaims.delete(key));
+}
+
+function pumpJobs() {
+  while (runningJobs < MAX_CONCURRENT && jobQueue.length) {
+    const focused = jobQueue.findIndex((j) => j.tabId === focusedTabId);
+    const [job] = jobQueue.splice(focused === -1 ? 0 : focused, 1);
+    startJob(job);
+  }
+}
+
+// run(signal, keepAlive): streaming jobs call keepAlive on progress, so their timeout
+// measures silence rather than total time
+async function startJob(job) {
+  job.running = true;
+  runningJobs++;
+  const { signal } = job.controller;
+  let timer = null;
+  const keepAlive = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const err = new Error(`Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+      err.timedOut = true;
+      job.controller.abort(err);
+    }, REQUEST_TIMEOUT_MS);
+  };
+  keepAlive();
+  try {
+    const value = await withRetry((s) => job.run(s, keepAlive), signal);
+    if (signal.aborted) throw signal.reason;
+    job.resolve(value);
+  } catch (e) {
+    if (signal.aborted) return job.reject(signal.reason);
+    if (e.network) {
+      // Never got an HTTP answer: the backend is down, not just unhappy with this request
+      markOffline(e);
+      return job.reject(offlineError());
+    }
+    // The proxy answers 5xx when Ollama behind it is down; only the probe can tell that
+    // from a request it merely failed on
+    if (e.status >= 500 && !(await probeHealth()).online) return job.reject(offlineError());
+    job.reject(e);
+  } finally {
+    clearTimeout(timer);
+    runningJobs--;
+    if (jobsByKey.get(job.key) === job) jobsByKey.delete(job.key);
+    pumpJobs();
+  }
+}
+
+const RETRY_DELAYS_MS = [1000, 2000, 4000];
+
+// Network failures and 5xx get a few spaced-out retries; 4xx, aborts and anything else fail at once
+async function withRetry(run, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run(signal);
+    } catch (e) {
+      const retryable = !signal.aborted && (e.network || e.status >= 500);
+      if (!retryable || attempt >= RETRY_DELAYS_MS.length) throw e;
+      await sleep(RETRY_DELAYS_MS[attempt], signal);
+    }
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+function offlineError() {
+  const e = new Error("Spell-check service unreachable");
+  e.offline = true;
+  return e;
+}
+
+function cancelTabJobs(tabId, reason) {
+  for (const [key, job] of Array.from(jobsByKey)) {
+    if (job.tabId === tabId) cancelJob(key, reason);
+  }
+}
+
+function refreshFocusedTab() {
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }).then((tabs) => {
+    focusedTabId = tabs[0] ? tabs[0].id : null;
+  }).catch(() => {});
+}
+
+refreshFocusedTab();
+chrome.tabs.onActivated.addListener(({ tabId }) => (focusedTabId = tabId));
+chrome.windows.onFocusChanged.addListener(refreshFocusedTab);
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelTabJobs(tabId, "tab-closed");
+  tabErrorCounts.delete(tabId);
+  if (offlineWaiters.delete(tabId)) saveConnectionState();
+});
+chrome.tabs.onUpdated.addListener((tabId, info) => {
+  // Navigation: the old page's errors are gone; its content script will report afresh
+  if (info.status !== "loading" || !tabErrorCounts.has(tabId)) return;
+  tabErrorCounts.delete(tabId);
+  refreshBadge(tabId);
+});
+
+/* =========================
+   CONNECTION MONITOR (health/latency probes, badge, offline recovery)
+========================= */
+const HEALTH_ALARM = "ollama-health";
+const HEALTH_PERIOD_MIN = 1;
+const RECOVERY_DELAYS_MS = [2000, 4000, 8000, 16000, 30000]; // then the alarm takes over
+// Mirrored to storage as "connectionStatus" (when online flips) so the popup can render it without asking
+let connection = { online: null, latencyMs: null, checkedAt: 0, error: "", model: "", modelLoaded: null };
+let recoveryTimer = null;
+let recoveryAttempt = 0;
+const tabErrorCounts = new Map(); // tabId -> Map(frameId -> open errors in that frame)
+const offlineWaiters = new Map(); // tabId -> Set(frameId) that got an offline answer
+
+// The worker is routinely suspended while the backend is down; whether it was down and who is
+// waiting for it live in session storage so a woken worker still replays their checks
+const CONNECTION_STATE_KEY = "connectionState"; // { connection, waiters: [[tabId, [frameId]]] }
+const connectionRestored = chrome.storage.session.get(CONNECTION_STATE_KEY)
+  .then(({ [CONNECTION_STATE_KEY]: saved }) => {
+    if (!saved) return;
+    // A reading taken since waking is newer than the saved one
+    if (connection.online === null) connection = saved.connection;
+    saved.waiters.forEach(([tabId, frames]) => {
+      const set = offlineWaiters.get(tabId) || new Set();
+      frames.forEach((frameId) => set.add(frameId));
+      offlineWaiters.set(tabId, set);
+    });
+    if (connection.online === false) {
+      refreshAllBadges();
+      probeHealth();
+    }
+  })
+  .catch(() => {});
+
+async function saveConnectionState() {
+  await connectionRestored;
+  const waiters = Array.from(offlineWaiters, ([tabId, frames]) => [tabId, Array.from(frames)]);
+  await chrome.storage.session.set({ [CONNECTION_STATE_KEY]: { connection, waiters } }).catch(() => {});
+}
+
+async function probeHealth() {
+  await connectionRestored;
+  const t0 = Date.now();
+  let next;
+  try {
+    const api = await getBackend();
+    if (!(await api.health())) throw new Error("Backend reports Ollama down");
+    const latencyMs = Date.now() - t0;
+    const { model } = await loadSettings();
+    // Older proxies have no /loaded; that only costs us the load-state hint
+    const loaded = await api.loaded().catch(() => null);
+    next = {
+      online: true,
+      latencyMs,
+      checkedAt: Date.now(),
+      error: "",
+      model,
+      modelLoaded: loaded && model ? loaded.some((name) => sameModel(name, model)) : null,
+    };
+  } catch (e) {
+    next = { ...connection, online: false, checkedAt: Date.now(), error: e.message || String(e) };
+  }
+  setConnection(next);
+  return connection;
+}
+
+// "llama3" and "llama3:latest" name the same model
+function sameModel(a, b) {
+  const tag = (m) => (m.includes(":") ? m : m + ":latest");
+  return tag(a) === tag(b);
+}
+
+function setConnection(next) {
+  const wasOnline = connection.online;
+  connection = next;
+  // Routine probes mostly confirm what's known; only a flip is worth a storage write
+  if (connection.online !== wasOnline) {
+    chrome.storage.local.set({ connectionStatus: connection });
+    saveConnectionState();
+  }
+  refreshAllBadges();
+  if (connection.online) {
+    clearTimeout(recoveryTimer);
+    recoveryTimer = null;
+    recoveryAttempt = 0;
+    // Waiters only exist after an offline answer, even one a previous worker gave
+    if (offlineWaiters.size) notifyOnline();
+  } else {
+    scheduleRecoveryProbe();
+  }
+}
+
+function markOffline(e) {
+  if (connection.online === false) return;
+  setConnection({ ...connection, online: false, checkedAt: Date.now(), error: e.message || String(e) });
+}
+
+function scheduleRecoveryProbe() {
+  if (recoveryTimer || recoveryAttempt >= RECOVERY_DELAYS_MS.length) return;
+  recoveryTimer = setTimeout(() => {
+    recoveryTimer = null;
+    recoveryAttempt++;
+    probeHealth();
+  }, RECOVERY_DELAYS_MS[recoveryAttempt]);
+}
+
+// Frames that were told "offline" replay the latest check of each waiting field
+function notifyOnline() {
+  for (const [tabId, frames] of offlineWaiters) {
+    frames.forEach((frameId) =>
+      chrome.tabs.sendMessage(tabId, { type: "BACKEND_ONLINE" }, { frameId }).catch(() => {})
+    );
+  }
+  offlineWaiters.clear();
+  saveConnectionState();
+}
+
+function rememberOfflineWaiter(sender) {
+  if (!sender.tab) return;
+  const frames = offlineWaiters.get(sender.tab.id) || new Set();
+  frames.add(sender.frameId || 0);
+  offlineWaiters.set(sender.tab.id, frames);
+  saveConnectionState();
+}
+
+// Badge: "!" while the service is down, otherwise the tab's open error count
+function refreshBadge(tabId) {
+  const frames = tabErrorCounts.get(tabId);
+  const count = frames ? Array.from(frames.values()).reduce((a, b) => a + b, 0) : 0;
+  const text = connection.online === false ? "!" : count ? String(Math.min(count, 999)) : "";
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+}
+
+function refreshAllBadges() {
+  const offline = connection.online === false;
+  chrome.action.setBadgeBackgroundColor({ color: offline ? "#c62828" : "#1565c0" });
+  chrome.action.setBadgeText({ text: offline ? "!" : "" });
+  chrome.action.setTitle({
+    title: offline
+      ? `Ollama Spell Checker: service unreachable (${connection.error})`
+      : connection.latencyMs != null
+        ? `Ollama Spell Checker: connected, ${connection.latencyMs} ms`
+        : "Ollama Spell Checker",
+  });
+  tabErrorCounts.forEach((_, tabId) => refreshBadge(tabId));
+}
+
+// Every wake runs this file; only a missing alarm (fresh install, browser restart) is created, so
+// waking doesn't reset the schedule or cost a probe
+chrome.alarms.get(HEALTH_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(HEALTH_ALARM, { periodInMinutes: HEALTH_PERIOD_MIN, delayInMinutes: 0 });
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === HEALTH_ALARM) probeHealth();
+});
+chrome.runtime.onStartup.addListener(probeHealth);
+onSettingsChanged((_, keys) => {
+  // A new endpoint or model deserves a fresh reading right away
+  if (keys.some((k) => ["backendMode", "proxyUrl", "ollamaUrl", "model"].includes(k))) probeHealth();
+});
+
+/* =========================
+   STREAMING AUTO-CORRECT (one port per run; the content script disconnecting = stop)
+========================= */
+// Port messages out: chunk {text} | reset (a retry starts over) | done {text, cached} | error | cancelled
+const STREAM_PORT = "AUTOCORRECT_STREAM";
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STREAM_PORT) return;
+  const sender = port.sender || {};
+  let disconnected = false;
+  let key = null;
+  let job = null;
+  const post = (m) => !disconnected && port.postMessage(m);
+  // After every await: a run whose page went away in the meantime stops before it reaches the model
+  const stopIfGone = () => {
+    if (disconnected) throw cancelError("stopped");
+  };
+
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    // Only our own job: a newer run for the same field may already hold the key
+    if (job && jobsByKey.get(key) === job) cancelJob(key, "stopped");
+  });
+
+  port.onMessage.addListener(async (msg) => {
+    if (msg.type !== "START" || key) return;
+    key = jobKey(sender, msg, "AC");
+    try {
+      const opts = await requestOptions(msg);
+      stopIfGone();
+      const cacheId = await cacheKey("AC", cacheScope(opts), msg.text);
+      stopIfGone();
+      const [cached] = await cacheGetMany([cacheId]);
+      stopIfGone();
+      if (cached) return post({ type: "done", text: cached, cached: true });
+
+      const api = await getBackend();
+      stopIfGone();
+      let streamed = false;
+      const pending = schedule(key, sender.tab?.id, (signal, keepAlive) => {
+        if (streamed) post({ type: "reset" });
+        streamed = false;
+        return api.correctStream(msg.text, opts, signal, (piece) => {
+          streamed = true;
+          keepAlive();
+          post({ type: "chunk", text: piece });
+        });
+      });
+      job = jobsByKey.get(key);
+      const corrected = await pending;
+      if (corrected) await cacheSetMany([[cacheId, corrected]]);
+      post({ type: "done", text: corrected });
+    } catch (e) {
+      if (e && e.cancelled) return post({ type: "cancelled", reason: e.cancelled });
+      if (e && e.offline) {
+        rememberOfflineWaiter(sender);
+        return post({ type: "error", error: e.message, offline: true });
+      }
+      post({ type: "error", error: e.message || String(e), timedOut: !!(e && e.timedOut) });
+    }
+  });
+});
+
+/* =========================
+   CONTEXT MENUS
+========================= */
+const MENU_CHECK = "ollama-check-selection";
+const MENU_CORRECT = "ollama-correct-selection";
+const MENU_MESSAGES = { [MENU_CHECK]: "CHECK_SELECTION", [MENU_CORRECT]: "CORRECT_SELECTION" };
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: MENU_CHECK, title: "Check spelling of selection", contexts: ["selection"] });
+    chrome.contextMenus.create({ id: MENU_CORRECT, title: "Correct selection", contexts: ["editable"] });
+  });
+});
+
+// The content script does the work (it owns the selection and the floating window)
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const type = MENU_MESSAGES[info.menuItemId];
+  if (!type || !tab || tab.id == null) return;
+  chrome.tabs
+    .sendMessage(tab.id, { type, selectionText: info.selectionText || "" }, { frameId: info.frameId || 0 })
+    .catch(() => {});
+});
+
+// Keyboard shortcuts are handled by the content script of the tab they fired in
+chrome.commands.onCommand.addListener((command, tab) => {
+  const send = (id) => id != null && chrome.tabs.sendMessage(id, { type: "COMMAND", command }).catch(() => {});
+  if (tab) return send(tab.id);
+  chrome.tabs.query({ active: true, currentWindow: true }).then((tabs) => tabs[0] && send(tabs[0].id));
+});
+
+/* =========================
+   AUTO-CORRECT AS YOU TYPE (per-tab switch; sites turned on for good are in settings.autoCorrectSites)
+========================= */
+// tabId -> true/false, overriding the site setting until the tab closes; session storage outlives the worker
+const AUTOCORRECT_TABS_KEY = "autoCorrectTabs";
+
+async function autoCorrectTabs() {
+  const { [AUTOCORRECT_TABS_KEY]: tabs = {} } = await chrome.storage.session.get(AUTOCORRECT_TABS_KEY);
+  return tabs;
+}
+
+async function getAutoCorrectTab(tabId) {
+  const tabs = await autoCorrectTabs();
+  return tabId in tabs ? tabs[tabId] : null;
+}
+
+// active: true/false overrides, null follows the site setting again; every frame of the tab is told
+async function setAutoCorrectTab(tabId, active) {
+  const tabs = await autoCorrectTabs();
+  if (active == null) delete tabs[tabId];
+  else tabs[tabId] = !!active;
+  await chrome.storage.session.set({ [AUTOCORRECT_TABS_KEY]: tabs });
+  chrome.tabs.sendMessage(tabId, { type: "AUTOCORRECT_ACTIVE", active: tabs[tabId] ?? null }).catch(() => {});
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  if ((await getAutoCorrectTab(tabId)) !== null) await setAutoCorrectTab(tabId, null);
+});
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
       if (msg.type === "HEALTH") {
-        const data = await apiGet("/health");
-        return sendResponse({ ok: data.ok === true });
+        const status = await probeHealth();
+        return sendResponse({ ok: status.online, ...status });
       }
       if (msg.type === "GET_MODELS") {
-        const data = await apiGet("/models");
-        return sendResponse({ models: data.models || [] });
+        const api = await getBackend();
+        return sendResponse({ models: await api.models() });
       }
       if (msg.type === "SPELLCHECK") {
-        const { text, model } = msg;
-        const key = cacheKeySpell(text, model);
-        const cached = cacheGet(key);
-        if (cached) return sendResponse({ corrections: cached, cached: true });
-
-        const data = await apiPost("/spellcheck", { text, model });
-        cacheSet(key, data.corrections || []);
-        return sendResponse({ corrections: data.corrections || [] });
+        const key = jobKey(sender, msg, "SC");
+        const claim = claimJob(key);
+        try {
+          const opts = await requestOptions(msg);
+          const api = await getBackend();
+          const check = (joined) => {
+            claim.check();
+            return schedule(key, sender.tab?.id, (signal) => api.spellcheck(joined, opts, signal));
+          };
+          const result = await spellcheckCached(msg.text, opts, check);
+          claim.check();
+          return sendResponse(result);
+        } finally {
+          claim.release();
+        }
       }
       if (msg.type === "AUTOCORRECT_ALL") {
-        const { text, model } = msg;
-        const key = cacheKeyAuto(text, model);
-        const cached = cacheGet(key);
+        const { text } = msg;
+        const jobId = jobKey(sender, msg, "AC");
+        const claim = claimJob(jobId);
+        try {
+          const opts = await requestOptions(msg);
+          const key = await cacheKey("AC", cacheScope(opts), text);
+          const [cached] = await cacheGetMany([key]);
+          claim.check();
+          if (cached) return sendResponse({ text: cached, cached: true });
+
+          const api = await getBackend();
+          claim.check();
+          const corrected = await schedule(jobId, sender.tab?.id, (signal) => api.correct(text, opts, signal));
+          await cacheSetMany([[key, corrected]]);
+          return sendResponse({ text: corrected });
+        } finally {
+          claim.release();
+        }
+      }
+      if (msg.type === "REWRITE") {
+        const { text, action } = msg;
+        if (!REWRITE_ACTIONS[action]) throw new Error(`Unknown rewrite action: ${action}`);
+        const opts = await requestOptions(msg);
+        const key = await cacheKey("RW:" + action, cacheScope(opts) + "|" + (opts.target || ""), text);
+        const [cached] = await cacheGetMany([key]);
         if (cached) return sendResponse({ text: cached, cached: true });
 
-        const data = await apiPost("/correct", { text, model });
-        cacheSet(key, data.text || "");
-        return sendResponse({ text: data.text || "" });
+        const api = await getBackend();
+        const rewritten = await schedule(jobKey(sender, msg, "RW"), sender.tab?.id, (signal) =>
+          api.rewrite(text, action, opts, signal)
+        );
+        if (rewritten) await cacheSetMany([[key, rewritten]]);
+        return sendResponse({ text: rewritten });
+      }
+      if (msg.type === "AUTOCORRECT_TAB") {
+        // The popup names the tab; a content script asks about its own
+        const tabId = msg.tabId ?? sender.tab?.id;
+        if (tabId == null) return sendResponse({ active: null });
+        if ("active" in msg) await setAutoCorrectTab(tabId, msg.active);
+        return sendResponse({ active: await getAutoCorrectTab(tabId) });
+      }
+      if (msg.type === "PANEL_CLAIM") {
+        // Every frame of the tab hears this; all but the claimant close their panel
+        if (sender.tab) {
+          chrome.tabs.sendMessage(sender.tab.id, { type: "PANEL_RELEASE", owner: msg.token }).catch(() => {});
+        }
+        return sendResponse({ ok: true });
+      }
+      if (msg.type === "AUDIT_RELAY") {
+        // Page audit traffic between frames of one tab; no frameId = every frame
+        if (!sender.tab) return sendResponse({ ok: false });
+        const payload = { ...msg.payload, from: sender.frameId || 0 };
+        const target = msg.frameId == null ? {} : { frameId: msg.frameId };
+        chrome.tabs.sendMessage(sender.tab.id, payload, target).catch(() => {});
+        return sendResponse({ ok: true });
+      }
+      if (msg.type === "ERROR_COUNT") {
+        if (!sender.tab) return sendResponse({ ok: false });
+        const frames = tabErrorCounts.get(sender.tab.id) || new Map();
+        frames.set(sender.frameId || 0, Math.max(0, msg.count | 0));
+        tabErrorCounts.set(sender.tab.id, frames);
+        refreshBadge(sender.tab.id);
+        return sendResponse({ ok: true });
+      }
+      if (msg.type === "CANCEL") {
+        // Field edited while a check was in flight: free the model for the next one
+        const kinds = msg.kind ? [msg.kind] : ["SC", "AC", "RW"];
+        kinds.forEach((k) => cancelFieldJobs(sender, msg, k));
+        return sendResponse({ ok: true });
+      }
+      if (msg.type === "CACHE_STATS") {
+        return sendResponse(await cacheStats());
+      }
+      if (msg.type === "CACHE_CLEAR") {
+        await cacheClear();
+        return sendResponse(await cacheStats());
       }
     } catch (e) {
-      return sendResponse({ error: e.message || String(e) });
+      if (e && e.cancelled) return sendResponse({ cancelled: e.cancelled });
+      if (e && e.offline) {
+        rememberOfflineWaiter(sender);
+        return sendResponse({ error: e.message, offline: true });
+      }
+      return sendResponse({ error: e.message || String(e), timedOut: !!(e && e.timedOut) });
     }
   })();
   return true; // keep port open
@@ -2,11 +2,21 @@
 console.log("✅ ollama_spell_content.js loaded (idle-timer, seq-checked, rate-limited)");
 
 /* =========================
-   CONFIG
+   CONFIG (mirrors of ollama_spell_settings.js values, kept current by applySettings)
 ========================= */
 let enabled = true;
 let model = "llama3";
 let IDLE_MS = 900;              // send only when user truly idle this long
+let displayMode = "inline";     // "inline" underlines over the field, or "panel" review window
+let languageOverride = "";      // BCP 47 code from the popup; "" = per-field detection
+let shownCategories = null;     // Set of error categories to display (popup filter); null = all
+let defaultProfile = "standard"; // tone profile id where no site assignment applies
+let siteProfiles = {};          // host pattern -> profile id
+let profileEpoch = 0;           // bumped on any profile edit so cached segment results go stale
+let selectionToolbar = true;    // rewrite toolbar next to selected text in a field
+let translateTo = "";           // "Translate" target; "" = browser language
+let autoCorrectSites = [];      // host patterns where continuous auto-correct is on
+let autoCorrectTab = null;      // this tab's override from the popup (true/false); null = follow autoCorrectSites
 const MIN_INTERVAL_MS = 2500;   // hard throttle per element
 const MIN_LEN = 5;              // ignore very short strings to cut noise
 
@@ -17,6 +27,11 @@ let currentTarget = null;
 let floatingWindow = null;
 let miniWindow = null;
 let popupEl = null;
+let pendingDiff = null;         // { el, original, hunks } while an auto-correct preview is open
+let pendingRewrite = null;      // { el, original, start, end, action, target, result, error, stale } while a rewrite preview is open
+let correctionStream = null;    // { el, original, port, received } while a streamed auto-correct runs
+let auditReport = null;         // top frame: { runId, frames: Map(frameId -> snapshot), ... } while the page report is open
+let panelText = null;           // field text the panel's spans index into (null: panel shows something else)
 let isDragging = false;
 let dragOffset = { x: 0, y: 0 };
 
@@ -29,24 +44,121 @@ const composingIME    = new WeakMap(); // el -> bool (user composing)
 const latestSeq       = new WeakMap(); // el -> last request seq id
 const lastAppliedText = new WeakMap(); // el -> text the UI currently represents
 const isVisibleMap    = new WeakMap(); // el -> isIntersecting
+const ignoredInField  = new WeakMap(); // el -> Set of normalized words ignored for this field
+const overlayText     = new WeakMap(); // el -> text the inline overlay markers are indexed against
+const overlays        = new Map();     // el -> inline overlay (Map: iterated on scroll/resize)
+const segmentResults  = new WeakMap(); // el -> { language, profile, model, map: Map(segment text -> segment-local corrections) }
+const fieldLanguage   = new WeakMap(); // el -> last reliably detected language
+const fieldIds        = new WeakMap(); // el -> id the background scheduler keys requests by
+const requestState    = new WeakMap(); // el -> "checking" | "cancelled" | "failed" | "offline" (absent = idle)
+const checkProgress   = new WeakMap(); // el -> { done, total } while a long field is checked in chunks
+const offlineFields   = new Set();     // fields whose latest check hit a down backend; replayed on recovery
+const autoFixBase     = new WeakMap(); // el -> text continuous auto-correct last looked at
+const savedCaret      = new WeakMap(); // el -> caret as it was when focus last left the field
+let nextFieldId = 0;
+let errorCountTimer = null;
+let reportedErrorCount = 0;
+
+/* Persistent user dictionary (normalized words) */
+let userDictionary = new Set();
+
+/* Site / field rules (hostname patterns; field rules are "selector" or "host##selector") */
+let siteAllowList = [];
+let siteDenyList = [];
+let fieldRules = [];
 
 /* =========================
    INIT SETTINGS
 ========================= */
-chrome.storage.local.get(["spellCheckEnabled", "model", "debounceMs"], (data) => {
-  enabled = data.spellCheckEnabled ?? true;
-  model = data.model || "llama3";
-  // If user had a custom debounce, map it to idle ms gently
-  if (typeof data.debounceMs === "number" && data.debounceMs >= 200) {
-    IDLE_MS = data.debounceMs;
+loadSettings().then((settings) => applySettings(settings, SETTINGS_KEYS));
+chrome.runtime.sendMessage({ type: "AUTOCORRECT_TAB" }, (res) => setAutoCorrectTab(res ? res.active : null));
+
+// Edits from the popup, the options page or another device (sync) apply live
+onSettingsChanged(applySettings);
+
+function applySettings(settings, keys) {
+  const changed = (...names) => names.some((k) => keys.includes(k));
+  if (changed("enabled")) {
+    enabled = settings.enabled;
+    if (!enabled) { removeUI(); removeAllOverlays(); }
   }
-});
+  if (changed("model")) {
+    // Another model flags different things, so cached segment results are not reused
+    model = settings.model;
+    recheckCurrentTarget();
+  }
+  if (changed("idleMs")) IDLE_MS = settings.idleMs;
+  if (changed("userDictionary")) setUserDictionary(settings.userDictionary);
+  if (changed("displayMode")) setDisplayMode(settings.displayMode);
+  if (changed("siteAllowList", "siteDenyList", "fieldRules")) setRules(settings);
+  if (changed("languageOverride")) {
+    languageOverride = settings.languageOverride;
+    recheckCurrentTarget();
+  }
+  if (changed("profile", "siteProfiles", "customProfiles")) {
+    // A custom profile's template may have been edited, so re-check even if the id stayed
+    defaultProfile = settings.profile;
+    siteProfiles = settings.siteProfiles;
+    profileEpoch++;
+    recheckCurrentTarget();
+  }
+  if (changed("selectionToolbar")) {
+    selectionToolbar = settings.selectionToolbar;
+    if (!selectionToolbar) hideRewriteToolbar();
+  }
+  if (changed("translateTo")) translateTo = settings.translateTo;
+  if (changed("autoCorrectSites")) autoCorrectSites = settings.autoCorrectSites;
+  if (changed("shownCategories")) {
+    // Segment results are cached unfiltered, so this re-renders without a new request
+    setShownCategories(settings.shownCategories);
+    recheckCurrentTarget();
+  }
+}
+
+function setUserDictionary(words) {
+  userDictionary = new Set((Array.isArray(words) ? words : []).map(normalizeForCompare).filter(Boolean));
+}
+
+function setDisplayMode(mode) {
+  const next = mode === "panel" ? "panel" : "inline";
+  if (next === displayMode) return;
+  displayMode = next;
+  // Drop whatever the old mode drew and re-render the focused field in the new one
+  removeUI();
+  removeAllOverlays();
+  recheckCurrentTarget();
+}
+
+function setShownCategories(list) {
+  shownCategories = Array.isArray(list) ? new Set(list) : null;
+}
+
+function recheckCurrentTarget() {
+  if (!currentTarget) return;
+  lastAppliedText.delete(currentTarget);
+  scheduleIdle(currentTarget);
+}
 
-chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.type === "SPELL_CHECK_TOGGLE") enabled = !!msg.enabled;
-  if (msg.type === "MODEL_SET") model = msg.model || "llama3";
-  if (msg.type === "DEBOUNCE_SET") IDLE_MS = Math.max(200, msg.ms || 900);
-  if (msg.type === "AUTOCORRECT_ACTIVE" && currentTarget) doAutoCorrectAll(currentTarget);
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Commands reach every frame of the tab; only the one holding focus acts. A parent whose focus sits
+  // on an embedded frame still reports hasFocus(), so that frame answers instead
+  if (msg.type === "COMMAND" && document.hasFocus() && !["IFRAME", "FRAME"].includes(document.activeElement?.tagName)) {
+    runCommand(msg.command);
+  }
+  if (msg.type === "PANEL_RELEASE" && msg.owner !== FRAME_TOKEN && (floatingWindow || miniWindow)) removeUI();
+  if (msg.type === "CHECK_SELECTION") checkSelection(msg.selectionText || "");
+  if (msg.type === "CORRECT_SELECTION") correctSelection();
+  if (msg.type === "BACKEND_ONLINE") replayOfflineChecks();
+  if (msg.type === "AUTOCORRECT_ACTIVE") setAutoCorrectTab(msg.active);
+  if (msg.type === "AUDIT_PAGE") {
+    const started = enabled && isSiteEnabled();
+    if (started) startPageAudit(msg);
+    sendResponse({ started });
+  }
+  if (msg.type === "AUDIT_RUN" && window !== window.top && enabled && isSiteEnabled()) runAuditPart(msg);
+  if (msg.type === "AUDIT_FRAME") receiveAuditSnapshot(msg);
+  if (msg.type === "AUDIT_ACTION") runAuditAction(msg);
+  if (msg.type === "AUDIT_STOP") stopAuditRun(msg.runId);
 });
 
 /* =========================
@@ -57,16 +169,66 @@ const io = new IntersectionObserver(
   { root: null, threshold: 0 }
 );
 
-const editableObserver = new MutationObserver(() => detectEditables());
-editableObserver.observe(document.body, { childList: true, subtree: true });
-window.addEventListener("load", () => detectEditables());
+const EDITABLE_SELECTOR = [
+  "textarea",
+  'input:not([type])', 'input[type="text"]', 'input[type="search"]', 'input[type="email"]', 'input[type="url"]',
+  '[contenteditable=""]', '[contenteditable="true"]', '[contenteditable="plaintext-only"]',
+].join(", ");
+
+// Mutations arrive in bursts; the subtrees they added are scanned once per burst, not the whole page
+let detectTimer = null;
+let addedRoots = new Set();
+const observedRoots = new WeakSet(); // document + every open shadow root we watch
+const editableObserver = new MutationObserver((mutations) => {
+  mutations.forEach((m) => m.addedNodes.forEach((n) => { if (n.nodeType === Node.ELEMENT_NODE) addedRoots.add(n); }));
+  if (!addedRoots.size || detectTimer) return;
+  detectTimer = setTimeout(() => {
+    detectTimer = null;
+    const roots = addedRoots;
+    addedRoots = new Set();
+    roots.forEach((root) => { if (root.isConnected) detectEditables(root); });
+  }, 100);
+});
+observeRoot(document.body || document.documentElement);
+// Injected at document_idle, often after load: bind what is already there, and again at load if it's still coming
+detectEditables();
+if (document.readyState !== "complete") window.addEventListener("load", () => detectEditables());
+
+function observeRoot(root) {
+  if (observedRoots.has(root)) return;
+  observedRoots.add(root);
+  editableObserver.observe(root, { childList: true, subtree: true });
+}
+
+// Editables in root plus inside any open shadow roots below it (web components); an element root counts itself
+function findEditables(root, out = []) {
+  const hosts = Array.from(root.querySelectorAll("*"));
+  if (root.nodeType === Node.ELEMENT_NODE) {
+    if (root.matches(EDITABLE_SELECTOR)) out.push(root);
+    hosts.unshift(root);
+  }
+  root.querySelectorAll(EDITABLE_SELECTOR).forEach((el) => out.push(el));
+  hosts.forEach((host) => {
+    if (!host.shadowRoot) return;
+    observeRoot(host.shadowRoot); // the document observer can't see inside
+    findEditables(host.shadowRoot, out);
+  });
+  return out;
+}
 
-function detectEditables() {
-  const nodes = document.querySelectorAll('textarea, input[type="text"], [contenteditable="true"]');
-  nodes.forEach((el) => {
+function detectEditables(root = document) {
+  findEditables(root).forEach((el) => {
     if (!el.__ollama_bound) {
       el.addEventListener("focusin", () => onFocus(el));
       el.addEventListener("input", () => onInput(el));
+      el.addEventListener("focusout", () => saveCaret(el));
+      el.addEventListener("click", (e) => onEditableClick(el, e));
+      el.addEventListener("mousemove", (e) => onEditableHover(el, e));
+      el.addEventListener("mouseleave", queueHideHoverCard);
+      el.addEventListener("keydown", (e) => onHistoryKeydown(el, e));
+      // Textarea/input selections don't always raise document selectionchange
+      el.addEventListener("mouseup", queueRewriteToolbar);
+      el.addEventListener("keyup", queueRewriteToolbar);
       el.addEventListener("compositionstart", () => composingIME.set(el, true));
       el.addEventListener("compositionend", () => { composingIME.set(el, false); scheduleIdle(el); });
       try { io.observe(el); } catch {}
@@ -75,12 +237,127 @@ function detectEditables() {
   });
 }
 
+/* =========================
+   SHADOW DOM & FRAMES
+========================= */
+// document.activeElement stops at the shadow host; follow focus down into open shadow roots
+function deepActiveElement() {
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  return el;
+}
+
+// Chrome exposes a shadow tree's selection only through its ShadowRoot
+function selectionFor(el) {
+  const root = el && el.getRootNode ? el.getRootNode() : document;
+  return root !== document && typeof root.getSelection === "function" ? root.getSelection() : window.getSelection();
+}
+
+// closest() that continues past shadow boundaries to the host's ancestors
+function closestDeep(el, selector) {
+  while (el) {
+    const hit = el.closest(selector);
+    if (hit) return hit;
+    const root = el.getRootNode();
+    el = root && root.host ? root.host : null;
+  }
+  return null;
+}
+
+// Identifies this frame's panel when frames coordinate through the background
+const FRAME_TOKEN = Math.random().toString(36).slice(2);
+
+// One panel per tab: opening ours asks the background to close any other frame's
+function claimPanel() {
+  chrome.runtime.sendMessage({ type: "PANEL_CLAIM", token: FRAME_TOKEN });
+}
+
+// Site rules are about the page the user sees, not whichever frame hosts the editor
+function pageHost() {
+  const origins = location.ancestorOrigins;
+  if (window.top !== window && origins && origins.length) {
+    try { return new URL(origins[origins.length - 1]).hostname; } catch {}
+  }
+  return location.hostname;
+}
+
+/* =========================
+   SITE & FIELD RULES
+========================= */
+const SENSITIVE_AUTOCOMPLETE = new Set(["off", "one-time-code", "current-password", "new-password"]);
+const OPT_OUT_SELECTOR = '[data-gramm="false"], [data-gramm_editor="false"], [data-enable-grammarly="false"]';
+const CODE_EDITOR_SELECTOR = ".CodeMirror, .cm-editor, .monaco-editor, .ace_editor, pre, code";
+
+function setRules(data) {
+  siteAllowList = Array.isArray(data.siteAllowList) ? data.siteAllowList : [];
+  siteDenyList = Array.isArray(data.siteDenyList) ? data.siteDenyList : [];
+  fieldRules = Array.isArray(data.fieldRules) ? data.fieldRules : [];
+
+  // Tear down anything now covered by a rule
+  if (!isSiteEnabled()) {
+    removeUI();
+    removeAllOverlays();
+    return;
+  }
+  Array.from(overlays.keys()).forEach((el) => isFieldExcluded(el) && removeOverlay(el));
+  if (currentTarget && isFieldExcluded(currentTarget)) removeUI();
+}
+
+function isSiteEnabled(host = pageHost()) {
+  if (siteDenyList.some((p) => hostMatches(host, p))) return false;
+  if (siteAllowList.length && !siteAllowList.some((p) => hostMatches(host, p))) return false;
+  return true;
+}
+
+// Most specific site assignment wins ("mail.example.com" over "example.com"), then the default
+function pageProfile(host = pageHost()) {
+  let best = "";
+  Object.keys(siteProfiles).forEach((pattern) => {
+    if (hostMatches(host, pattern) && pattern.length > best.length) best = pattern;
+  });
+  return best ? siteProfiles[best] : defaultProfile;
+}
+
+// Sent with every SPELLCHECK / AUTOCORRECT_ALL; the background renders the profile's template
+function profileFields() {
+  const site = pageHost();
+  return { profile: pageProfile(site), site };
+}
+
+// Never send secrets, one-time codes, opted-out fields or code to the model
+function isFieldExcluded(el) {
+  const tokens = (el.getAttribute("autocomplete") || "").toLowerCase().split(/\s+/);
+  if (tokens.some((t) => SENSITIVE_AUTOCOMPLETE.has(t) || t.startsWith("cc-"))) return true;
+  if (closestDeep(el, OPT_OUT_SELECTOR) || closestDeep(el, CODE_EDITOR_SELECTOR)) return true;
+
+  return fieldRules.some((rule) => {
+    const raw = String(rule || "").trim();
+    if (!raw) return false;
+    const split = raw.indexOf("##");
+    const host = split >= 0 ? raw.slice(0, split) : "";
+    const selector = split >= 0 ? raw.slice(split + 2) : raw;
+    if (host && !hostMatches(pageHost(), host)) return false;
+    try {
+      return !!closestDeep(el, selector);
+    } catch {
+      return false; // invalid selector typed in the popup
+    }
+  });
+}
+
+function canCheck(el) {
+  return enabled && !!el && isSiteEnabled() && !isFieldExcluded(el);
+}
+
 /* =========================
    EVENT HANDLERS
 ========================= */
 function onFocus(el) {
-  if (!enabled) return;
+  if (!canCheck(el)) return;
+  if (autoFixChip && autoFixChip.el !== el) hideAutoFixChip();
   currentTarget = el;
+  renderRequestState(); // a long check of the field left earlier gets its progress chip back
+  autoFixBase.set(el, getTextFromElement(el)); // what's already there is the user's, not a typo to fix
   scheduleIdle(el);
 }
 
@@ -88,6 +365,13 @@ function onInput(el) {
   if (!enabled || currentTarget !== el) return;
   // Skip programmatic writes we caused
   if (suppressOnce.get(el)) { suppressOnce.set(el, false); return; }
+  hideHoverCard();
+  // Keep inline underlines on untouched words while the user types
+  rebaseOverlay(el);
+  // Whatever is in flight now describes old text; let the background drop it
+  if (requestState.get(el) === "checking") {
+    chrome.runtime.sendMessage({ type: "CANCEL", kind: "SC", fieldId: fieldId(el) });
+  }
   // Update last real input time, then schedule idle check
   lastInputAt.set(el, Date.now());
   scheduleIdle(el);
@@ -141,17 +425,98 @@ function getTextFromElement(el) {
 function setTextToElement(el, val, { programmatic = false } = {}) {
   if (!el) return;
   if (programmatic) suppressOnce.set(el, true);
-  if (el.isContentEditable) el.textContent = val;
+  if (el.isContentEditable) replaceEditableText(el, val);
   else el.value = val;
+  // Our own input event (contenteditable) has fired by now; assigning .value fires none, and a stale
+  // flag would swallow the user's next keystroke
+  if (programmatic) suppressOnce.set(el, false);
+}
+
+/* =========================
+   CONTENTEDITABLE MAPPING (text offsets <-> text nodes)
+========================= */
+// Each text node's [start, end) within getTextFromElement(el); textContent is their concatenation
+function mapTextNodes(el) {
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  const out = [];
+  let pos = 0, node;
+  while ((node = walker.nextNode())) {
+    const len = node.nodeValue.length;
+    out.push({ node, start: pos, end: pos + len });
+    pos += len;
+  }
+  return out;
+}
+
+// "forward" picks the node holding the char at offset (range starts);
+// "backward" the node holding the char before it (range ends, insertions)
+function domPointAt(map, offset, affinity = "forward") {
+  for (const m of map) {
+    const inside = affinity === "forward"
+      ? offset >= m.start && offset < m.end
+      : offset > m.start && offset <= m.end;
+    if (inside) return { node: m.node, offset: offset - m.start };
+  }
+  if (!map.length) return null;
+  if (offset <= 0) return { node: map[0].node, offset: 0 };
+  const last = map[map.length - 1];
+  if (offset >= last.end) return { node: last.node, offset: last.node.nodeValue.length };
+  return null;
+}
+
+// Map [start, end) of getTextFromElement(el) onto a DOM Range over el's text nodes
+function rangeForTextOffsets(el, start, end) {
+  const map = mapTextNodes(el);
+  const from = domPointAt(map, start, start === end ? "backward" : "forward");
+  const to = start === end ? from : domPointAt(map, end, "backward");
+  if (!from || !to) return null;
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  return range;
+}
+
+// Write `val` by editing only the text nodes that differ, so bold/links/lists survive
+function replaceEditableText(el, val) {
+  const current = getTextFromElement(el);
+  if (current === val) return;
+  const hunks = diffWords(current, val);
+  // Right-to-left keeps earlier offsets valid
+  for (let i = hunks.length - 1; i >= 0; i--) {
+    replaceEditableRange(el, hunks[i].start, hunks[i].end, hunks[i].insert);
+  }
+  // Mapping can miss if the editor re-rendered under us; correctness beats formatting then
+  if (getTextFromElement(el) !== val) el.textContent = val;
+  // Let editor frameworks (and our suppressOnce) see the change like a native spellcheck fix
+  el.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertReplacementText" }));
+}
+
+function replaceEditableRange(el, start, end, insert) {
+  const range = rangeForTextOffsets(el, start, end);
+  if (!range) {
+    if (!mapTextNodes(el).length && insert) el.appendChild(document.createTextNode(insert));
+    return;
+  }
+  const node = range.startContainer;
+  if (node === range.endContainer) {
+    node.replaceData(range.startOffset, range.endOffset - range.startOffset, insert);
+    return;
+  }
+  // Spans several nodes: the first keeps the replacement, the rest of the span is removed
+  const at = range.startOffset;
+  range.deleteContents();
+  node.insertData(at, insert);
 }
 
 /* =========================
    RATE-LIMITED SENDER
 ========================= */
 function maybeSend(el) {
+  if (!canCheck(el)) return; // rules may have changed since focus
   const text = getTextFromElement(el);
   if (!text || text.trim().length === 0) {
     removeUI();
+    removeOverlay(el);
     lastAppliedText.set(el, "");
     return;
   }
@@ -193,30 +558,401 @@ function isLatest(el, seq) {
 ========================= */
 function runSpellCheck(el, textSnapshot) {
   const seq = nextSeq(el);
-  chrome.runtime.sendMessage({ type: "SPELLCHECK", text: textSnapshot, model, seq }, (res) => {
+  resolveLanguage(el, textSnapshot).then((language) => {
+    if (isLatest(el, seq)) checkSegments(el, textSnapshot, language, seq);
+  });
+}
+
+function checkSegments(el, textSnapshot, language, seq) {
+  // Results are only reusable for the language, profile and model they were checked with
+  const scope = { language, profile: pageProfile() + "#" + profileEpoch, model };
+  const prev = segmentResults.get(el);
+  const reusable = prev && prev.language === scope.language && prev.profile === scope.profile && prev.model === scope.model;
+  const known = reusable ? prev.map : new Map();
+  const segments = splitSegments(textSnapshot);
+  // Only segments we have no result for go out; identical text is checked once
+  const pending = Array.from(new Set(segments.map((s) => s.text).filter((t) => !known.has(t))));
+  if (!pending.length) {
+    applySegmentResults(el, textSnapshot, segments, known, scope);
+    return;
+  }
+
+  if (pending.reduce((n, t) => n + t.length, 0) > LONG_FIELD_CHARS) {
+    checkInChunks(el, textSnapshot, segments, known, pending, seq, scope);
+    return;
+  }
+
+  setRequestState(el, "checking");
+  requestSegments(el, pending, language, seq, fieldId(el)).then((out) => {
+    // A superseded request's outcome says nothing about the field's current state
+    if (!out) return;
+    if (out.state) return failCheck(el, out.state);
+    setRequestState(el, null);
+    // Accept only if the editor text is unchanged
+    if (getTextFromElement(el) !== textSnapshot) return;
+
+    pending.forEach((t, i) => known.set(t, out.local[i]));
+    applySegmentResults(el, textSnapshot, segments, known, scope);
+  });
+}
+
+// One SPELLCHECK for some segments -> { local } (corrections per segment), { state } on failure,
+// or null once seq is no longer the latest
+function requestSegments(el, texts, language, seq, id) {
+  const { joined, starts } = joinSegments(texts);
+  const message = { type: "SPELLCHECK", text: joined, model, language, ...profileFields(), seq, fieldId: id };
+  return new Promise((resolve) => chrome.runtime.sendMessage(message, (res) => {
+    if (!isLatest(el, seq)) return resolve(null);
+    if (res && res.offline) return resolve({ state: "offline" });
     if (!res || res.error) {
       console.error("❌ Spellcheck error:", res?.error);
-      return;
+      return resolve({ state: "failed" });
+    }
+    if (res.cancelled) return resolve({ state: "cancelled" });
+    resolve({ local: splitCorrectionsBySegment(Array.isArray(res.corrections) ? res.corrections : [], texts, starts) });
+  }));
+}
+
+function failCheck(el, state) {
+  if (state === "offline") offlineFields.add(el);
+  setRequestState(el, state);
+}
+
+// Re-base per-segment results onto the full text; untouched segments keep their highlights
+function applySegmentResults(el, text, segments, known, scope) {
+  const { map, corrections } = mergeSegmentResults(segments, known);
+  segmentResults.set(el, { ...scope, map });
+  renderCorrections(el, text, corrections);
+  lastAppliedText.set(el, text);
+  autoFixTyped(el, text, corrections);
+}
+
+function mergeSegmentResults(segments, known) {
+  const map = new Map(); // only what the text still contains, so the map stays bounded
+  const corrections = [];
+  segments.forEach((seg) => {
+    const local = known.get(seg.text) || [];
+    map.set(seg.text, local);
+    local.forEach((c) => corrections.push({
+      ...c,
+      positions: c.positions.map(([s, e]) => [s + seg.start, e + seg.start]),
+    }));
+  });
+  return { map, corrections };
+}
+
+/* =========================
+   LONG FIELDS (chunks checked in parallel, results streamed in)
+========================= */
+const LONG_FIELD_CHARS = 3000;  // pending text above this goes out in chunks
+const CHUNK_CHARS = 1500;
+const CHUNK_CONCURRENCY = 2;    // the background's scheduler cap; more would only queue there
+
+// Chunk i runs as "<fieldId>#i", so chunks don't supersede each other and a CANCEL
+// for the field (sent by onInput while "checking") stops all of them
+function checkInChunks(el, text, segments, known, pending, seq, scope) {
+  const chunks = packChunks(pending, CHUNK_CHARS);
+  const progress = { done: 0, total: chunks.length };
+  let next = 0;
+  let failure = null;
+  checkProgress.set(el, progress);
+  setRequestState(el, "checking");
+
+  const worker = async () => {
+    while (next < chunks.length && !failure && isLatest(el, seq)) {
+      const i = next++;
+      const out = await requestSegments(el, chunks[i], scope.language, seq, `${fieldId(el)}#${i}`);
+      if (!out) return;
+      if (out.state) {
+        if (failure) return;
+        failure = out.state;
+        // The chunks still in flight have nothing left to contribute
+        if (out.state !== "cancelled") chrome.runtime.sendMessage({ type: "CANCEL", kind: "SC", fieldId: fieldId(el) });
+        return;
+      }
+      chunks[i].forEach((t, j) => known.set(t, out.local[j]));
+      // Kept even if the batch ends early, so the next check only sends what's still missing
+      segmentResults.set(el, { ...scope, map: known });
+      progress.done++;
+      if (getTextFromElement(el) === text) renderCorrections(el, text, mergeSegmentResults(segments, known).corrections);
+      if (el === currentTarget) renderRequestState();
     }
-    // Accept only if: (1) still latest response, (2) editor text unchanged
+  };
+
+  Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, worker)).then(() => {
+    if (checkProgress.get(el) === progress) checkProgress.delete(el);
     if (!isLatest(el, seq)) return;
-    if (getTextFromElement(el) !== textSnapshot) return;
+    if (failure) return failCheck(el, failure);
+    setRequestState(el, null);
+    if (getTextFromElement(el) !== text) return;
+    applySegmentResults(el, text, segments, known, scope);
+  });
+}
 
-    const html = buildHighlightedHTMLStrict(textSnapshot, Array.isArray(res.corrections) ? res.corrections : []);
-    if (!html) {
-      removeUI();
-      lastAppliedText.set(el, textSnapshot);
-      return;
+// Consecutive segments packed up to max characters; a longer segment makes a chunk of its own
+function packChunks(texts, max) {
+  const chunks = [];
+  let size = 0;
+  texts.forEach((t) => {
+    const last = chunks[chunks.length - 1];
+    if (last && size + SEGMENT_JOIN.length + t.length <= max) {
+      last.push(t);
+      size += SEGMENT_JOIN.length + t.length;
+    } else {
+      chunks.push([t]);
+      size = t.length;
+    }
+  });
+  return chunks;
+}
+
+/* =========================
+   REQUEST STATE (scheduler feedback: checking… / cancelled / failed)
+========================= */
+const REQUEST_STATE_LABELS = {
+  checking: "checking…",
+  cancelled: "cancelled",
+  failed: "check failed",
+  offline: "offline — will retry",
+};
+let progressChip = null;          // { node, el } inline mode: progress of a long field's chunked check
+
+window.addEventListener("scroll", positionProgressChip, true);
+
+function fieldId(el) {
+  if (!fieldIds.has(el)) fieldIds.set(el, "f" + ++nextFieldId);
+  return fieldIds.get(el);
+}
+
+function setRequestState(el, state) {
+  if (state) requestState.set(el, state);
+  else requestState.delete(el);
+  const overlay = overlays.get(el);
+  if (overlay) overlay.dataset.state = state || "";
+  if (el === currentTarget) renderRequestState();
+}
+
+// The background says the service is back: re-check what each waiting field holds *now*
+function replayOfflineChecks() {
+  const fields = Array.from(offlineFields);
+  offlineFields.clear();
+  fields.forEach((el) => {
+    if (!el.isConnected || !canCheck(el)) return;
+    setRequestState(el, null);
+    lastAppliedText.delete(el);
+    throttleNextAt.delete(el);
+    maybeSend(el);
+  });
+}
+
+// Feeds the toolbar badge; coalesced because markers change in bursts
+function scheduleErrorCountReport() {
+  clearTimeout(errorCountTimer);
+  errorCountTimer = setTimeout(() => {
+    const count = pendingErrorCount();
+    if (count === reportedErrorCount) return;
+    reportedErrorCount = count;
+    chrome.runtime.sendMessage({ type: "ERROR_COUNT", count });
+  }, 250);
+}
+
+function pendingErrorCount() {
+  if (displayMode === "panel") {
+    return floatingWindow && panelText !== null
+      ? floatingWindow.querySelectorAll(".spell-overlay .misspelled-word").length
+      : 0;
+  }
+  let n = 0;
+  overlays.forEach((overlay) => (n += overlay.querySelectorAll(".misspelled-word").length));
+  return n;
+}
+
+// Panel header status for the focused field; chunked checks also fill the progress bar
+// (in inline mode, which has no panel, the progress chip by the field shows it instead)
+function renderRequestState() {
+  renderProgressChip();
+  const slot = floatingWindow && floatingWindow.querySelector(".overlay-status");
+  if (!slot) return;
+  const state = (panelText !== null && currentTarget && requestState.get(currentTarget)) || "";
+  const progress = state === "checking" && checkProgress.get(currentTarget);
+  slot.textContent = progress
+    ? `${progress.done} of ${progress.total} sections checked`
+    : REQUEST_STATE_LABELS[state] || "";
+  slot.dataset.state = state;
+  const bar = floatingWindow.querySelector(".overlay-progress");
+  bar.hidden = !progress;
+  if (progress) {
+    bar.setAttribute("aria-valuenow", progress.done);
+    bar.setAttribute("aria-valuemax", progress.total);
+    bar.firstChild.style.width = (100 * progress.done) / progress.total + "%";
+  }
+}
+
+function renderProgressChip() {
+  const el = currentTarget;
+  const progress = displayMode === "inline" && el && requestState.get(el) === "checking" && checkProgress.get(el);
+  if (!progress) return hideProgressChip();
+  if (progressChip && progressChip.el !== el) hideProgressChip();
+  if (!progressChip) {
+    const node = document.createElement("div");
+    node.className = "ollama-progress-chip";
+    node.innerHTML =
+      '<span class="ollama-progress-label" role="status"></span>' +
+      '<span class="overlay-progress" role="progressbar" aria-label="Sections checked" aria-valuemin="0"><span class="overlay-progress-bar"></span></span>' +
+      '<button type="button" title="Stop checking this field">Stop</button>';
+    node.addEventListener("mousedown", (e) => e.preventDefault()); // keep the caret in the field
+    // The background cancels every chunk of the field; the check then settles as "cancelled"
+    node.querySelector("button").addEventListener("click", () => {
+      chrome.runtime.sendMessage({ type: "CANCEL", kind: "SC", fieldId: fieldId(el) });
+    });
+    document.body.appendChild(node);
+    progressChip = { node, el };
+  }
+  const { node } = progressChip;
+  node.querySelector(".ollama-progress-label").textContent = `Checking… ${progress.done} of ${progress.total} sections`;
+  const bar = node.querySelector(".overlay-progress");
+  bar.setAttribute("aria-valuenow", progress.done);
+  bar.setAttribute("aria-valuemax", progress.total);
+  bar.firstChild.style.width = (100 * progress.done) / progress.total + "%";
+  positionProgressChip();
+}
+
+// Tucked into the field's bottom-right corner, where it covers the least text
+function positionProgressChip() {
+  if (!progressChip) return;
+  const rect = progressChip.el.getBoundingClientRect();
+  const chip = progressChip.node.getBoundingClientRect();
+  const top = Math.min(Math.max(4, rect.bottom - chip.height - 4), window.innerHeight - chip.height - 4);
+  const left = Math.min(Math.max(4, rect.right - chip.width - 4), window.innerWidth - chip.width - 4);
+  Object.assign(progressChip.node.style, { top: top + "px", left: left + "px" });
+}
+
+function hideProgressChip() {
+  if (!progressChip) return;
+  progressChip.node.remove();
+  progressChip = null;
+}
+
+/* =========================
+   LANGUAGE (popup override > element lang > detection > page lang)
+========================= */
+async function resolveLanguage(el, text) {
+  if (languageOverride) return languageOverride;
+  const tagged = el && el.closest && closestDeep(el, "[lang]");
+  if (tagged && tagged !== document.documentElement && tagged.lang) return tagged.lang;
+
+  const detected = await detectLanguage(text);
+  if (detected) {
+    if (el) fieldLanguage.set(el, detected);
+    return detected;
+  }
+  return (el && fieldLanguage.get(el)) || document.documentElement.lang || navigator.language || "en";
+}
+
+function detectLanguage(text) {
+  return new Promise((resolve) => {
+    if (!chrome.i18n || !chrome.i18n.detectLanguage) return resolve(scriptLanguage(text));
+    chrome.i18n.detectLanguage(text.slice(0, 2000), (res) => {
+      const top = res && res.isReliable && res.languages && res.languages[0];
+      resolve(top && top.language !== "und" ? top.language : scriptLanguage(text));
+    });
+  });
+}
+
+// Fallback when the detector isn't sure: scripts that (nearly) pin down a language
+const SCRIPT_LANGUAGES = [
+  [/\p{Script=Hangul}/u, "ko"],
+  [/[\p{Script=Hiragana}\p{Script=Katakana}]/u, "ja"],
+  [/\p{Script=Han}/u, "zh"],
+  [/\p{Script=Cyrillic}/u, "ru"],
+  [/\p{Script=Greek}/u, "el"],
+  [/\p{Script=Hebrew}/u, "he"],
+  [/\p{Script=Arabic}/u, "ar"],
+  [/\p{Script=Devanagari}/u, "hi"],
+  [/\p{Script=Thai}/u, "th"],
+];
+function scriptLanguage(text) {
+  const hit = SCRIPT_LANGUAGES.find(([re]) => re.test(text));
+  return hit ? hit[1] : null;
+}
+
+/* =========================
+   INCREMENTAL SEGMENTS (paragraphs, long ones by sentence)
+========================= */
+const SENTENCE_SPLIT_MIN = 400; // paragraphs longer than this are checked per sentence
+const SEGMENT_JOIN = "\n\n";
+
+// Trimmed, non-blank slices with their offsets into text
+function splitSegments(text) {
+  const out = [];
+  const push = (raw, start) => {
+    const body = raw.trim();
+    if (body) out.push({ text: body, start: start + (raw.length - raw.trimStart().length) });
+  };
+  for (const para of text.matchAll(/[^\n]+/g)) {
+    if (para[0].length <= SENTENCE_SPLIT_MIN) {
+      push(para[0], para.index);
+      continue;
     }
-    showFloatingWindow(html);
-    lastAppliedText.set(el, textSnapshot);
+    for (const sent of para[0].matchAll(/[^.!?。！？]+(?:[.!?。！？]+|$)/g)) push(sent[0], para.index + sent.index);
+  }
+  return out;
+}
+
+function joinSegments(texts) {
+  let joined = "";
+  const starts = texts.map((t, i) => {
+    if (i) joined += SEGMENT_JOIN;
+    const at = joined.length;
+    joined += t;
+    return at;
   });
+  return { joined, starts };
+}
+
+// Positions in the joined request text -> one corrections list per segment (segment-local)
+function splitCorrectionsBySegment(corrections, texts, starts) {
+  const out = texts.map(() => []);
+  for (const c of corrections) {
+    const perSeg = new Map();
+    for (const pos of c.positions || []) {
+      const i = starts.findIndex((at, n) => pos[0] >= at && pos[1] <= at + texts[n].length);
+      if (i === -1) continue; // spans a join or lies outside the text
+      if (!perSeg.has(i)) perSeg.set(i, []);
+      perSeg.get(i).push([pos[0] - starts[i], pos[1] - starts[i]]);
+    }
+    perSeg.forEach((positions, i) => out[i].push({ ...c, positions }));
+  }
+  return out;
+}
+
+// Route results to inline underlines or the review panel depending on displayMode
+function renderCorrections(el, text, corrections) {
+  if (displayMode === "inline") {
+    renderOverlay(el, text, acceptCorrections(text, corrections, el));
+    return;
+  }
+  if (pendingDiff || pendingRewrite || correctionStream || auditReport) return; // don't clobber an open review or report
+  const html = buildHighlightedHTMLStrict(text, corrections, el);
+  // A long field still being checked keeps its window open so the progress shows
+  if (!html && !checkProgress.has(el)) return removeUI();
+  // Same text again (e.g. the next chunk streamed in): stay where the user had scrolled to
+  const body = panelText === text && floatingWindow && floatingWindow.querySelector(".spell-overlay");
+  const scrollTop = body ? body.scrollTop : 0;
+  showFloatingWindow(html || escapeHtml(text), { text });
+  if (scrollTop) floatingWindow.querySelector(".spell-overlay").scrollTop = scrollTop;
 }
 
 /* =========================
    UI: Floating window (right, centered, draggable, minimizable)
 ========================= */
-function showFloatingWindow(html) {
+// readOnly: results for text we can't write back to (e.g. a page selection); spans only show hints
+// Field results (text set, no footer of their own) get the rewrite actions as a footer
+function showFloatingWindow(html, { title = "🧠 Ollama Spell Check", footer = "", text = null, readOnly = false } = {}) {
+  panelText = text;
+  // Clicks in the panel take the selection with them; edits made from it still need the field's caret
+  if (currentTarget) saveCaret(currentTarget);
+  if (text !== null && !footer) footer = '<span class="ollama-rewrite-hint">Rewrite selection:</span>' + rewriteButtonsHTML();
   if (miniWindow) { miniWindow.remove(); miniWindow = null; }
 
   if (!floatingWindow) {
@@ -238,36 +974,88 @@ function showFloatingWindow(html) {
       fontFamily: "system-ui, sans-serif",
       color: "#222",
       userSelect: "none",
+      display: "flex",
+      flexDirection: "column",
     });
     document.body.appendChild(floatingWindow);
+    claimPanel();
   }
 
   // Single-line concatenation avoids stray whitespace with pre-wrap
   floatingWindow.innerHTML =
     '<div class="overlay-header" style="display:flex;justify-content:space-between;align-items:center;background:#f7f7f7;padding:10px 14px;border-bottom:1px solid #e0e0e0;font-weight:700;font-size:1em;color:#111;cursor:move;">' +
-      '<span>🧠 Ollama Spell Check</span>' +
-      '<span class="overlay-minimize" style="cursor:pointer;font-size:1.3em;color:#555;">−</span>' +
+      '<span>' + escapeHtml(title) + '</span>' +
+      '<span class="overlay-status" role="status" style="margin-left:10px;font-size:0.75em;font-weight:400;color:#777;"></span>' +
+      '<span class="overlay-counts" aria-live="polite" style="display:flex;gap:6px;margin-left:auto;margin-right:12px;font-size:0.75em;font-weight:600;"></span>' +
+      '<span style="display:flex;gap:12px;align-items:center;">' +
+        '<span class="overlay-undo" title="Undo last correction (Ctrl+Z)" style="cursor:pointer;font-size:1.1em;color:#555;">↶</span>' +
+        '<span class="overlay-redo" title="Redo (Ctrl+Shift+Z)" style="cursor:pointer;font-size:1.1em;color:#555;">↷</span>' +
+        '<span class="overlay-minimize" style="cursor:pointer;font-size:1.3em;color:#555;">−</span>' +
+      '</span>' +
     '</div>' +
-    '<div class="spell-overlay" style="padding:14px;height:calc(100% - 48px);overflow-y:auto;white-space:pre-wrap;word-wrap:break-word;line-height:1.5;font-size:0.95em;color:#222;user-select:text;">' +
+    '<div class="overlay-progress" role="progressbar" aria-label="Sections checked" aria-valuemin="0" hidden><div class="overlay-progress-bar"></div></div>' +
+    '<div class="spell-overlay" role="region" aria-label="Spell check results" style="padding:14px;flex:1;min-height:0;overflow-y:auto;white-space:pre-wrap;word-wrap:break-word;line-height:1.5;font-size:0.95em;color:#222;user-select:text;">' +
       html +
-    '</div>';
+    '</div>' +
+    (footer
+      ? '<div class="overlay-footer" style="display:flex;flex-wrap:wrap;gap:8px;justify-content:flex-end;align-items:center;padding:10px 14px;border-top:1px solid #e0e0e0;background:#fafafa;">' + footer + '</div>'
+      : "");
 
   const header = floatingWindow.querySelector(".overlay-header");
   header.addEventListener("mousedown", startDrag);
   document.addEventListener("mouseup", stopDrag);
   document.addEventListener("mousemove", drag);
   floatingWindow.querySelector(".overlay-minimize").addEventListener("click", minimizeToMiniWindow);
+  floatingWindow.querySelector(".overlay-undo").addEventListener("click", () => undoEdit(currentTarget));
+  floatingWindow.querySelector(".overlay-redo").addEventListener("click", () => redoEdit(currentTarget));
+  floatingWindow.querySelectorAll("[data-rewrite]").forEach((btn) => {
+    btn.addEventListener("mousedown", (e) => e.preventDefault()); // keep the selection
+    btn.addEventListener("click", () => rewriteFromPanel(btn.getAttribute("data-rewrite")));
+  });
+  updateHistoryButtons();
+  updateCategoryCounts();
+  renderRequestState();
+  scheduleErrorCountReport();
 
-  // Bind suggestion popups
+  // Bind suggestion popups (mouse, or Enter/Space on a focused span)
   floatingWindow.querySelectorAll(".misspelled-word").forEach((el) => {
+    if (readOnly) {
+      el.title = "→ " + tryParseSuggestions(el.getAttribute("data-suggs")).map((x) => suggestionLabel(spanText(el), x)).join(", ");
+      el.style.cursor = "help";
+      return;
+    }
+    el.addEventListener("mouseenter", () => queueHoverCard(el));
+    el.addEventListener("mouseleave", queueHideHoverCard);
     el.addEventListener("click", (e) => {
       const suggs = tryParseSuggestions(el.getAttribute("data-suggs"));
+      setActiveMarker(el);
       showSuggestionPopup(el, suggs);
       e.stopPropagation();
     });
+    el.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" && e.key !== " ") return;
+      e.preventDefault();
+      setActiveMarker(el);
+      showSuggestionPopup(el, tryParseSuggestions(el.getAttribute("data-suggs")), { focus: true });
+    });
   });
 }
 
+// Header chips: open errors per category in the panel body
+function updateCategoryCounts() {
+  const slot = floatingWindow && floatingWindow.querySelector(".overlay-counts");
+  if (!slot) return;
+  const counts = {};
+  floatingWindow.querySelectorAll(".spell-overlay .misspelled-word").forEach((m) => {
+    const c = normalizeCategory(m.getAttribute("data-category"));
+    counts[c] = (counts[c] || 0) + 1;
+  });
+  slot.innerHTML = Object.keys(CATEGORIES).filter((c) => counts[c]).map((c) =>
+    '<span title="' + CATEGORIES[c].label + '" style="padding:1px 6px;border-radius:8px;color:#fff;background:' +
+    CATEGORIES[c].color + ';">' + counts[c] + ' ' + CATEGORIES[c].label.toLowerCase() + '</span>'
+  ).join("");
+}
+
 function minimizeToMiniWindow() {
   if (!floatingWindow) return;
   floatingWindow.style.display = "none";
@@ -299,7 +1087,7 @@ function minimizeToMiniWindow() {
   });
 
   miniWindow.addEventListener("click", () => {
-    floatingWindow.style.display = "block";
+    floatingWindow.style.display = "flex";
     miniWindow.remove();
     miniWindow = null;
   });
@@ -332,123 +1120,580 @@ function drag(e) {
    CLEANUP
 ========================= */
 function removeUI() {
+  stopCorrectionStream();
+  stopPageAudit();
+  hideHoverCard();
   [floatingWindow, miniWindow, popupEl].forEach((el) => el && el.remove());
   floatingWindow = null;
   miniWindow = null;
   popupEl = null;
+  pendingDiff = null;
+  pendingRewrite = null;
+  panelText = null;
+  scheduleErrorCountReport();
 }
 
 /* =========================
-   STRICT HIGHLIGHTING (no false positives)
+   INLINE OVERLAY (underlines drawn over the field)
 ========================= */
-function buildHighlightedHTMLStrict(text, corrections) {
-  if (!text) return "";
+const MIRROR_STYLE_PROPS = [
+  "fontFamily", "fontSize", "fontWeight", "fontStyle", "fontVariant", "fontStretch",
+  "letterSpacing", "wordSpacing", "lineHeight", "textTransform", "textIndent",
+  "textAlign", "tabSize", "direction", "paddingTop", "paddingRight", "paddingBottom",
+  "paddingLeft", "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth",
+];
+let overlaySyncQueued = false;
 
-  const raw = [];
-  for (const c of corrections || []) {
-    const suggs = Array.isArray(c.suggestions)
-      ? c.suggestions
-      : (typeof c.suggestions === "string" && c.suggestions.trim() ? [c.suggestions.trim()] : []);
-    for (const pos of c.positions || []) {
-      const s = pos[0], e = pos[1];
-      if (Number.isFinite(s) && Number.isFinite(e) && s >= 0 && e > s && e <= text.length) {
-        raw.push({ start: s, end: e, word: c.word, suggestions: suggs });
-      }
-    }
-  }
+window.addEventListener("scroll", scheduleOverlaySync, true);
+window.addEventListener("resize", scheduleOverlaySync);
+if (document.fonts) document.fonts.ready.then(scheduleOverlaySync);
 
-  raw.sort((a, b) => a.start - b.start);
-  const accepted = [];
-  let lastEnd = -1;
+function renderOverlay(el, text, items) {
+  if (!items.length) return removeOverlay(el);
 
-  for (const r of raw) {
-    if (r.start < lastEnd) continue; // no overlaps
-    const part = text.slice(r.start, r.end);
-    if (!/[A-Za-z]/.test(part)) continue;
+  let overlay = overlays.get(el);
+  if (!overlay) {
+    overlay = document.createElement("div");
+    overlay.className = "ollama-inline-overlay";
+    overlay.setAttribute("aria-hidden", "true"); // decorative twin of the field's own text
+    document.body.appendChild(overlay);
+    overlays.set(el, overlay);
+    watchOverlayTarget(el);
+  }
+  overlayText.set(el, text);
+  overlay.dataset.state = requestState.get(el) || "";
 
-    const left  = r.start > 0 ? text[r.start - 1] : "";
-    const right = r.end < text.length ? text[r.end] : "";
-    if (/[A-Za-z0-9_]/.test(left) || /[A-Za-z0-9_]/.test(right)) continue; // word boundary
+  if (el.isContentEditable) {
+    // Rich editors: one absolutely placed marker per correction, laid out from Range rects
+    overlay.innerHTML = items.map((r) =>
+      '<span class="ollama-inline-marker misspelled-word ' + markerClasses(r) + '"' + markerAttrs(r) +
+      ' data-text="' + encodeURIComponent(text.slice(r.start, r.end)) + '"></span>'
+    ).join("");
+  } else {
+    // textarea/input: a transparent mirror with identical metrics; trailing space keeps a final newline
+    overlay.innerHTML =
+      '<div class="ollama-inline-mirror">' + renderMarkedHTML(text, items, "") + ' </div>';
+    overlay.querySelectorAll(".misspelled-word").forEach((m) => m.classList.add("ollama-inline-marker"));
+  }
+  syncOverlay(el);
+  scheduleErrorCountReport();
+}
 
-    if (!hasMeaningfulDiff(part, r.suggestions)) continue;
+// Re-render from the markers still unresolved (after a replacement / ignore)
+function refreshOverlay(el) {
+  const overlay = el && overlays.get(el);
+  if (!overlay) return;
+  renderOverlay(el, getTextFromElement(el), readMarkers(overlay));
+}
 
-    accepted.push(r);
-    lastEnd = r.end;
-  }
+// User typed: keep markers before/after the edit, drop the ones it touched
+function rebaseOverlay(el) {
+  const overlay = overlays.get(el);
+  const before = overlayText.get(el);
+  if (!overlay || before == null) return;
+  const after = getTextFromElement(el);
+  if (after === before) return;
+  renderOverlay(el, after, rebaseItems(readMarkers(overlay), before, after));
+}
 
-  if (!accepted.length) return "";
+// Shift correction spans across a single contiguous edit; drop the ones it touched
+function rebaseItems(items, before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++;
 
-  let out = [];
-  let cursor = 0;
-  for (const r of accepted) {
-    out.push(escapeHtml(text.slice(cursor, r.start)));
-    out.push(
-      '<span class="misspelled-word" style="text-decoration:underline wavy red;cursor:pointer;color:#c62828;font-weight:500;"' +
-      ' data-start="' + r.start + '"' +
-      ' data-end="' + r.end + '"' +
-      ' data-word="' + encodeURIComponent(r.word || "") + '"' +
-      ' data-suggs="' + encodeURIComponent(JSON.stringify(r.suggestions || [])) + '">' +
-      escapeHtml(text.slice(r.start, r.end)) +
-      '</span>'
-    );
-    cursor = r.end;
-  }
-  out.push(escapeHtml(text.slice(cursor)));
-  return out.join("");
+  const editEnd = before.length - suffix;
+  const delta = after.length - before.length;
+  const out = [];
+  items.forEach((r) => {
+    if (r.end < prefix) out.push(r);
+    else if (r.start > editEnd) out.push({ ...r, start: r.start + delta, end: r.end + delta });
+  });
+  return out;
 }
 
-function normalizeForCompare(s) {
-  return (s || "").toLowerCase().replace(/^[^a-z0-9]+/gi, "").replace(/[^a-z0-9]+$/gi, "");
+function removeOverlay(el) {
+  const overlay = overlays.get(el);
+  if (overlay) overlay.remove();
+  overlays.delete(el);
+  overlayText.delete(el);
+  scheduleErrorCountReport();
 }
-function hasMeaningfulDiff(original, suggestions) {
-  const base = normalizeForCompare(original);
-  if (!base) return false;
-  for (const sug of suggestions || []) {
-    const norm = normalizeForCompare(sug);
-    if (norm && norm !== base) return true;
-  }
-  return false;
+
+function removeAllOverlays() {
+  Array.from(overlays.keys()).forEach(removeOverlay);
 }
 
-function escapeHtml(s) {
-  return (s || "").replace(/[&<>"']/g, (m) => ({
-    "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"
-  }[m]));
+function watchOverlayTarget(el) {
+  if (el.__ollama_overlay_watch) return;
+  el.__ollama_overlay_watch = true;
+  el.addEventListener("scroll", scheduleOverlaySync, { passive: true });
+  if (typeof ResizeObserver === "function") new ResizeObserver(scheduleOverlaySync).observe(el);
 }
-function tryParseSuggestions(val) {
-  if (!val) return [];
-  try { return JSON.parse(decodeURIComponent(val)); } catch { return []; }
+
+function scheduleOverlaySync() {
+  if (overlaySyncQueued || !overlays.size) return;
+  overlaySyncQueued = true;
+  requestAnimationFrame(() => {
+    overlaySyncQueued = false;
+    Array.from(overlays.keys()).forEach(syncOverlay);
+  });
 }
 
-/* =========================
-   SUGGESTION POPUP (topmost)
-========================= */
-function showSuggestionPopup(span, suggestions) {
+function syncOverlay(el) {
+  const overlay = overlays.get(el);
+  if (!overlay) return;
+  if (!el.isConnected) return removeOverlay(el);
+
+  const box = el.getBoundingClientRect();
+  if (!box.width || !box.height) {
+    overlay.style.display = "none";
+    return;
+  }
+  Object.assign(overlay.style, {
+    display: "block",
+    left: box.left + "px",
+    top: box.top + "px",
+    width: box.width + "px",
+    height: box.height + "px",
+  });
+  if (el.isContentEditable) layoutEditableMarkers(el, overlay, box);
+  else layoutMirror(el, overlay);
+}
+
+function layoutMirror(el, overlay) {
+  const mirror = overlay.firstElementChild;
+  if (!mirror) return;
+  const cs = getComputedStyle(el);
+  MIRROR_STYLE_PROPS.forEach((p) => (mirror.style[p] = cs[p]));
+
+  const borderX = parseFloat(cs.borderLeftWidth) + parseFloat(cs.borderRightWidth);
+  const scrollbar = Math.max(0, el.offsetWidth - el.clientWidth - borderX);
+  const isInput = el.tagName === "INPUT";
+  Object.assign(mirror.style, {
+    width: el.offsetWidth + "px",
+    paddingRight: parseFloat(cs.paddingRight) + scrollbar + "px",
+    whiteSpace: isInput ? "pre" : "pre-wrap",
+    transform: `translate(${-el.scrollLeft}px, ${-el.scrollTop}px)`,
+  });
+  if (isInput) {
+    // Inputs center a single line vertically; match it with an explicit line box
+    const inner = el.clientHeight - parseFloat(cs.paddingTop) - parseFloat(cs.paddingBottom);
+    Object.assign(mirror.style, { height: el.offsetHeight + "px", lineHeight: inner + "px" });
+  }
+}
+
+function layoutEditableMarkers(el, overlay, box) {
+  overlay.querySelectorAll(".ollama-inline-marker").forEach((marker) => {
+    const start = parseInt(marker.getAttribute("data-start"), 10);
+    const end = parseInt(marker.getAttribute("data-end"), 10);
+    const range = rangeForTextOffsets(el, start, end);
+    const rects = range ? Array.from(range.getClientRects()).filter((r) => r.width > 0) : [];
+    marker.innerHTML = "";
+    if (!rects.length) {
+      marker.style.display = "none";
+      return;
+    }
+    const left = Math.min(...rects.map((r) => r.left));
+    const top = Math.min(...rects.map((r) => r.top));
+    Object.assign(marker.style, {
+      display: "block",
+      left: left - box.left + "px",
+      top: top - box.top + "px",
+      width: Math.max(...rects.map((r) => r.right)) - left + "px",
+      height: Math.max(...rects.map((r) => r.bottom)) - top + "px",
+    });
+    // One line box per rect so wrapped words get an underline on each line
+    rects.forEach((r) => {
+      const line = document.createElement("div");
+      line.className = "ollama-underline";
+      Object.assign(line.style, {
+        left: r.left - left + "px",
+        top: r.top - top + "px",
+        width: r.width + "px",
+        height: r.height + "px",
+      });
+      marker.appendChild(line);
+    });
+  });
+}
+
+// The overlay ignores pointer events, so clicks land in the field; hit-test markers here
+function onEditableClick(el, e) {
+  const overlay = overlays.get(el);
+  const hit = overlay && findMarkerAt(overlay, e.clientX, e.clientY);
+  if (!hit) {
+    closeSuggestionPopup();
+    return;
+  }
+  showSuggestionPopup(hit, tryParseSuggestions(hit.getAttribute("data-suggs")));
+}
+
+function findMarkerAt(overlay, x, y) {
+  for (const m of overlay.querySelectorAll(".misspelled-word")) {
+    const rects = m.children.length
+      ? Array.from(m.children, (c) => c.getBoundingClientRect())
+      : Array.from(m.getClientRects());
+    if (rects.some((r) => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom)) return m;
+  }
+  return null;
+}
+
+/* =========================
+   STRICT HIGHLIGHTING (no false positives)
+========================= */
+// Colors are the --ollama-cat-* properties from suggestions.css, which is injected alongside this script
+const CATEGORIES = {
+  spelling:    { label: "Spelling",    color: "var(--ollama-cat-spelling)" },
+  grammar:     { label: "Grammar",     color: "var(--ollama-cat-grammar)" },
+  punctuation: { label: "Punctuation", color: "var(--ollama-cat-punctuation)" },
+  style:       { label: "Style",       color: "var(--ollama-cat-style)" },
+};
+
+function normalizeCategory(c) {
+  const key = String(c || "").trim().toLowerCase();
+  return CATEGORIES[key] ? key : "spelling";
+}
+
+// How each edit type is drawn; phrases also get a tint from the .ollama-edit-phrase rule in suggestions.css
+const EDITS = {
+  word:   { label: "",             decoration: "underline wavy" },
+  phrase: { label: "Phrase",       decoration: "underline wavy" },
+  insert: { label: "Missing word", decoration: "underline dashed" },
+  delete: { label: "Extra word",   decoration: "line-through" },
+};
+
+function panelMarkStyle(r) {
+  const { color } = CATEGORIES[r.category] || CATEGORIES.spelling;
+  const { decoration } = EDITS[r.edit] || EDITS.word;
+  return `text-decoration:${decoration} ${color};cursor:pointer;color:${color};font-weight:500;`;
+}
+
+function buildHighlightedHTMLStrict(text, corrections, el = currentTarget) {
+  if (!text) return "";
+  const accepted = acceptCorrections(text, corrections, el);
+  if (!accepted.length) return "";
+  return renderMarkedHTML(text, accepted, panelMarkStyle, { interactive: true });
+}
+
+// Validate server spans against the text: in range, whole words, no overlaps, real diffs.
+// A span whose text no longer matches its word is re-anchored to the nearest occurrence instead of dropped.
+function acceptCorrections(text, corrections, el = currentTarget) {
+  const raw = [];
+  for (const c of corrections || []) {
+    const suggs = Array.isArray(c.suggestions)
+      ? c.suggestions
+      : (typeof c.suggestions === "string" && c.suggestions.trim() ? [c.suggestions.trim()] : []);
+    const category = normalizeCategory(c.category);
+    if (shownCategories && !shownCategories.has(category)) continue; // filtered in the popup
+    const reason = typeof c.reason === "string" ? c.reason.trim() : "";
+    const word = typeof c.word === "string" ? c.word.trim() : "";
+    for (const pos of c.positions || []) {
+      const span = anchorSpan(text, word, pos[0], pos[1]);
+      if (span) raw.push({ start: span[0], end: span[1], word: c.word, suggestions: suggs, category, reason });
+    }
+  }
+
+  raw.sort((a, b) => a.start - b.start);
+  const accepted = [];
+  let lastEnd = -1;
+
+  for (const r of raw) {
+    if (r.start < lastEnd) continue; // no overlaps (two drifted positions may land on the same words)
+    const part = text.slice(r.start, r.end);
+    if (!/\p{L}/u.test(part)) continue;
+    if (isWordIgnored(el, part)) continue; // user dictionary / ignored in this field
+    if (!onWordBoundaries(text, r.start, r.end)) continue;
+    if (!hasMeaningfulDiff(part, r.suggestions)) continue;
+
+    accepted.push({ ...r, edit: describeEdit(part, r.suggestions[0]).kind });
+    lastEnd = r.end;
+  }
+  return accepted;
+}
+
+const ANCHOR_WINDOW = 80; // chars either side of a reported offset searched when re-anchoring
+
+// [start, end) of word in text: the reported span when it still holds word (ignoring case and
+// spacing), else the nearest whole-word occurrence within ANCHOR_WINDOW of it; null if none
+function anchorSpan(text, word, s, e) {
+  const inRange = Number.isFinite(s) && Number.isFinite(e) && s >= 0 && e > s && e <= text.length;
+  if (inRange && (!word || sameWords(text.slice(s, e), word))) return [s, e];
+  if (!word || !Number.isFinite(s)) return null;
+
+  const re = new RegExp(word.split(/\s+/).map(escapeRegExp).join("\\s+"), "giu");
+  const from = Math.max(0, Math.min(s, text.length) - ANCHOR_WINDOW);
+  const to = Math.min(text.length, Math.max(s, e || s) + ANCHOR_WINDOW + word.length);
+  let best = null;
+  for (const m of text.slice(from, to).matchAll(re)) {
+    const at = from + m.index;
+    if (!onWordBoundaries(text, at, at + m[0].length)) continue;
+    if (!best || Math.abs(at - s) < Math.abs(best[0] - s)) best = [at, at + m[0].length];
+  }
+  return best;
+}
+
+function sameWords(a, b) {
+  const words = (x) => x.normalize("NFC").toLocaleLowerCase().trim().split(/\s+/).join(" ");
+  return words(a) === words(b);
+}
+
+function onWordBoundaries(text, start, end) {
+  const part = text.slice(start, end);
+  const left  = start > 0 ? codePointBefore(text, start) : "";
+  const right = end < text.length ? String.fromCodePoint(text.codePointAt(end)) : "";
+  return !crossesWord(left, part[0]) && !crossesWord(right, part[part.length - 1]);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Word-level shape of a fix once shared leading/trailing words are set aside:
+// "went store" -> "went to the store" inserts, "the the" -> "the" deletes
+function describeEdit(original, suggestion) {
+  const a = String(original || "").trim().split(/\s+/).filter(Boolean);
+  const b = String(suggestion || "").trim().split(/\s+/).filter(Boolean);
+  let p = 0;
+  while (p < a.length && p < b.length && a[p] === b[p]) p++;
+  let q = 0;
+  while (q < a.length - p && q < b.length - p && a[a.length - 1 - q] === b[b.length - 1 - q]) q++;
+  const removed = a.slice(p, a.length - q).join(" ");
+  const added = b.slice(p, b.length - q).join(" ");
+  const kind = !removed && added ? "insert"
+    : removed && !added ? "delete"
+    : a.length > 1 || b.length > 1 ? "phrase"
+    : "word";
+  return { kind, removed, added };
+}
+
+// Menu text for one suggestion: insertions and deletions name just the words they add or drop
+function suggestionLabel(original, suggestion) {
+  const { kind, removed, added } = describeEdit(original, suggestion);
+  if (kind === "insert") return `Insert "${added}"`;
+  if (kind === "delete") return `Remove "${removed}"`;
+  return suggestion;
+}
+
+// interactive: panel spans are focusable buttons; overlay mirror spans stay aria-hidden
+// spanStyle: inline style string, or a function of the correction (per-category colors)
+function renderMarkedHTML(text, accepted, spanStyle, { interactive = false } = {}) {
+  let out = [];
+  let cursor = 0;
+  for (const r of accepted) {
+    const style = typeof spanStyle === "function" ? spanStyle(r) : spanStyle;
+    out.push(escapeHtml(text.slice(cursor, r.start)));
+    out.push(
+      '<span class="misspelled-word ' + markerClasses(r) + '"' +
+      (style ? ' style="' + style + '"' : "") +
+      markerAttrs(r) + (interactive ? ariaAttrs(text.slice(r.start, r.end), r) : "") + '>' +
+      escapeHtml(text.slice(r.start, r.end)) +
+      '</span>'
+    );
+    cursor = r.end;
+  }
+  out.push(escapeHtml(text.slice(cursor)));
+  return out.join("");
+}
+
+function ariaAttrs(word, { suggestions, category, reason, edit }) {
+  const kind = (CATEGORIES[category] || CATEGORIES.spelling).label.toLowerCase();
+  const label = `Possible ${kind} error "${word}"` +
+    (EDITS[edit] && EDITS[edit].label ? ` (${EDITS[edit].label.toLowerCase()})` : "") +
+    ((suggestions || []).length ? `, suggestions: ${suggestions.map((s) => suggestionLabel(word, s)).join(", ")}` : "") +
+    (reason ? `. ${reason}` : "");
+  return ' role="button" tabindex="0" aria-haspopup="menu" aria-label="' + escapeHtml(label) + '"';
+}
+
+function markerClasses(r) {
+  return "ollama-cat-" + normalizeCategory(r.category) + " ollama-edit-" + (EDITS[r.edit] ? r.edit : "word");
+}
+
+function markerAttrs(r) {
+  return ' data-start="' + r.start + '"' +
+    ' data-end="' + r.end + '"' +
+    ' data-word="' + encodeURIComponent(r.word || "") + '"' +
+    ' data-suggs="' + encodeURIComponent(JSON.stringify(r.suggestions || [])) + '"' +
+    ' data-category="' + normalizeCategory(r.category) + '"' +
+    ' data-edit="' + (EDITS[r.edit] ? r.edit : "word") + '"' +
+    ' data-reason="' + encodeURIComponent(r.reason || "") + '"';
+}
+
+// Inverse of markerAttrs for still-unresolved markers under root
+function readMarkers(root) {
+  const seen = new Set();
+  const out = [];
+  root.querySelectorAll(".misspelled-word").forEach((m) => {
+    const start = parseInt(m.getAttribute("data-start"), 10);
+    const end = parseInt(m.getAttribute("data-end"), 10);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || seen.has(start)) return;
+    seen.add(start);
+    out.push({
+      start,
+      end,
+      word: decodeURIComponent(m.getAttribute("data-word") || ""),
+      suggestions: tryParseSuggestions(m.getAttribute("data-suggs")),
+      category: normalizeCategory(m.getAttribute("data-category")),
+      edit: m.getAttribute("data-edit") || "word",
+      reason: decodeURIComponent(m.getAttribute("data-reason") || ""),
+    });
+  });
+  return out;
+}
+
+function normalizeForCompare(s) {
+  return (s || "").normalize("NFC").toLocaleLowerCase()
+    .replace(/^[^\p{L}\p{N}]+/u, "").replace(/[^\p{L}\p{N}\p{M}]+$/u, "");
+}
+
+const WORD_CHAR = /[\p{L}\p{N}\p{M}_]/u;
+// Scripts written without spaces: any span inside them is a legitimate "word"
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// True if a span edge sits mid-word (neighbour and edge are both word chars of a spaced script)
+function crossesWord(neighbour, edge) {
+  if (!neighbour || !WORD_CHAR.test(neighbour)) return false;
+  return !(UNSPACED_SCRIPT.test(neighbour) || UNSPACED_SCRIPT.test(edge || ""));
+}
+
+function codePointBefore(text, i) {
+  const lo = text.charCodeAt(i - 1);
+  if (i >= 2 && lo >= 0xdc00 && lo <= 0xdfff) return text.slice(i - 2, i);
+  return text[i - 1];
+}
+function hasMeaningfulDiff(original, suggestions) {
+  const base = normalizeForCompare(original);
+  if (!base) return false;
+  for (const sug of suggestions || []) {
+    const norm = normalizeForCompare(sug);
+    if (norm && norm !== base) return true;
+  }
+  return false;
+}
+
+/* =========================
+   IGNORE / USER DICTIONARY
+========================= */
+function isWordIgnored(el, word) {
+  const norm = normalizeForCompare(word);
+  if (!norm) return false;
+  if (userDictionary.has(norm)) return true;
+  const fieldSet = el && ignoredInField.get(el);
+  return !!(fieldSet && fieldSet.has(norm));
+}
+
+function ignoreInField(el, word) {
+  const norm = normalizeForCompare(word);
+  if (!el || !norm) return;
+  if (!ignoredInField.has(el)) ignoredInField.set(el, new Set());
+  ignoredInField.get(el).add(norm);
+  resolveSpansForWord(norm);
+}
+
+function addToDictionary(word) {
+  const clean = (word || "").trim();
+  const norm = normalizeForCompare(clean);
+  if (!norm) return;
+  userDictionary.add(norm);
+  resolveSpansForWord(norm);
+  loadSettings()
+    .then(({ userDictionary: words }) => {
+      if (words.some((w) => normalizeForCompare(w) === norm)) return;
+      return saveSettings({ userDictionary: words.concat(clean) });
+    })
+    .catch((e) => {
+      // Synced settings have a small quota; the word stays ignored here but won't follow the user
+      const message = `Couldn't save "${clean}" to your dictionary (${e.message}). It is ignored on this page only.`;
+      announce(message);
+      if (!(pendingDiff || pendingRewrite || correctionStream || auditReport)) {
+        showFloatingWindow(escapeHtml(message), { title: "⚠️ Dictionary not saved" });
+      }
+    });
+}
+
+// Un-highlight every flagged span (panel and inline) that matches a now-ignored word
+function resolveSpansForWord(norm) {
+  markerRoots().forEach((root) => {
+    root.querySelectorAll(".misspelled-word").forEach((s) => {
+      if (normalizeForCompare(spanText(s)) === norm) markSpanResolved(s);
+    });
+  });
+}
+
+function markSpanResolved(span) {
+  span.classList.remove("misspelled-word");
+  scheduleErrorCountReport();
+  // Overlay markers are styled by class alone; inline styles would shift mirror metrics
+  if (span.closest(".ollama-inline-overlay")) return;
+  span.style.textDecoration = "none";
+  span.style.color = "#111";
+  span.style.fontWeight = "normal";
+  updateCategoryCounts();
+}
+
+// Containers whose .misspelled-word spans index into the current field
+function markerRoots() {
+  return [floatingWindow, currentTarget && overlays.get(currentTarget)].filter(Boolean);
+}
+
+// Contenteditable overlay markers carry no text; they keep the flagged word in data-text
+function spanText(span) {
+  const t = span.getAttribute("data-text");
+  return t !== null ? decodeURIComponent(t) : span.textContent;
+}
+
+function escapeHtml(s) {
+  return (s || "").replace(/[&<>"']/g, (m) => ({
+    "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"
+  }[m]));
+}
+function tryParseSuggestions(val) {
+  if (!val) return [];
+  try { return JSON.parse(decodeURIComponent(val)); } catch { return []; }
+}
+
+/* =========================
+   SUGGESTION POPUP (topmost)
+========================= */
+function showSuggestionPopup(span, suggestions, { focus = false } = {}) {
+  hideHoverCard();
   if (popupEl) popupEl.remove();
   popupEl = document.createElement("div");
   popupEl.className = "ollama-suggestion-popup";
+  popupEl.setAttribute("role", "menu");
+  popupEl.addEventListener("keydown", onPopupKeydown);
 
+  const word = spanText(span);
+  popupEl.setAttribute("aria-label", `Suggestions for "${word}"`);
+  const category = CATEGORIES[normalizeCategory(span.getAttribute("data-category"))];
+  const reason = decodeURIComponent(span.getAttribute("data-reason") || "");
+  const edit = EDITS[span.getAttribute("data-edit")] || EDITS.word;
+  const info = document.createElement("div");
+  info.setAttribute("role", "presentation");
+  Object.assign(info.style, { padding: "4px 8px", fontSize: "0.8em", color: "#555", maxWidth: "260px" });
+  info.innerHTML = '<b style="color:' + category.color + ';">' + category.label + '</b>' +
+    (edit.label ? ' · ' + edit.label : "") +
+    (reason ? ' · ' + escapeHtml(reason) : "");
+  popupEl.appendChild(info);
   const list = Array.isArray(suggestions) ? suggestions : [suggestions].filter(Boolean);
-  list.forEach((s) => {
-    const item = document.createElement("div");
-    item.textContent = s;
-    Object.assign(item.style, {
-      padding: "6px 10px",
-      cursor: "pointer",
-      color: "#111",
-      fontSize: "0.9em",
-      whiteSpace: "nowrap",
-      borderRadius: "4px",
-    });
-    item.addEventListener("mouseenter", () => (item.style.background = "#f2f2f2"));
-    item.addEventListener("mouseleave", () => (item.style.background = "transparent"));
-    item.addEventListener("click", () => {
-      applyReplacementByIndex(span, s);
-      popupEl.remove();
-      popupEl = null;
-    });
-    popupEl.appendChild(item);
-  });
+  list.forEach((s) => addPopupItem(suggestionLabel(word, s), () => applyReplacementByIndex(span, s)));
+  const count = occurrencesOf(span).length;
+  if (count > 1 && list.length) {
+    addPopupItem(`Replace all ${count} with "${list[0]}"`, () => replaceAllOccurrences(span, list[0]));
+  }
+
+  const sep = document.createElement("div");
+  sep.setAttribute("role", "separator");
+  Object.assign(sep.style, { borderTop: "1px solid #eee", margin: "4px 0" });
+  popupEl.appendChild(sep);
+  addPopupItem("Ignore once", () => markSpanResolved(span), { muted: true });
+  addPopupItem("Ignore in this field", () => ignoreInField(currentTarget, word), { muted: true });
+  if (!/\s/.test(word.trim())) addPopupItem("Add to dictionary", () => addToDictionary(word), { muted: true });
 
   document.body.appendChild(popupEl);
   const rect = span.getBoundingClientRect();
@@ -468,6 +1713,269 @@ function showSuggestionPopup(span, suggestions) {
   const p = popupEl.getBoundingClientRect();
   if (p.right > window.innerWidth - 10) popupEl.style.left = (window.innerWidth - p.width - 10) + "px";
   if (p.bottom > window.innerHeight - 10) popupEl.style.top = (rect.top - p.height - 6) + "px";
+
+  if (focus) {
+    const first = popupEl.querySelector('[role="menuitem"]');
+    if (first) first.focus();
+  }
+}
+
+// Arrow keys move between items, Enter/Space picks, Escape closes and returns to the field
+function onPopupKeydown(e) {
+  const items = Array.from(popupEl.querySelectorAll('[role="menuitem"]'));
+  const i = items.indexOf(document.activeElement);
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    items[(i + step + items.length) % items.length].focus();
+  } else if ((e.key === "Enter" || e.key === " ") && i !== -1) {
+    e.preventDefault();
+    items[i].click();
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    closeSuggestionPopup();
+  } else {
+    return;
+  }
+  e.stopPropagation();
+}
+
+function addPopupItem(label, onPick, { muted = false } = {}) {
+  const item = document.createElement("div");
+  item.textContent = label;
+  item.setAttribute("role", "menuitem");
+  item.tabIndex = -1;
+  Object.assign(item.style, {
+    padding: "6px 10px",
+    cursor: "pointer",
+    color: muted ? "#555" : "#111",
+    fontSize: muted ? "0.85em" : "0.9em",
+    whiteSpace: "nowrap",
+    borderRadius: "4px",
+  });
+  item.addEventListener("mouseenter", () => (item.style.background = "#f2f2f2"));
+  item.addEventListener("mouseleave", () => (item.style.background = "transparent"));
+  item.addEventListener("focus", () => (item.style.background = "#e8f0fe"));
+  item.addEventListener("blur", () => (item.style.background = "transparent"));
+  item.addEventListener("click", () => {
+    onPick();
+    closeSuggestionPopup();
+  });
+  popupEl.appendChild(item);
+}
+
+function closeSuggestionPopup() {
+  if (!popupEl) return;
+  const hadFocus = popupEl.contains(document.activeElement);
+  popupEl.remove();
+  popupEl = null;
+  // Keyboard users land back where they were typing
+  if (hadFocus && currentTarget) currentTarget.focus();
+}
+
+/* =========================
+   HOVER CARD (why a span is flagged, fix or ignore every occurrence)
+========================= */
+const HOVER_SHOW_MS = 400;
+const HOVER_HIDE_MS = 250;        // time to move the pointer from the span onto the card
+let hoverCard = null;
+let hoverSpan = null;             // span the card is shown (or about to be shown) for
+let hoverTimer = null;
+
+window.addEventListener("scroll", hideHoverCard, true);
+document.addEventListener("keydown", (e) => e.key === "Escape" && hideHoverCard());
+
+function queueHoverCard(span) {
+  if (span === hoverSpan) {
+    if (hoverCard) clearTimeout(hoverTimer); // back on the span before the card hid
+    return;
+  }
+  clearTimeout(hoverTimer);
+  hoverSpan = span;
+  hoverTimer = setTimeout(() => showHoverCard(span), HOVER_SHOW_MS);
+}
+
+function queueHideHoverCard() {
+  if (!hoverSpan) return;
+  clearTimeout(hoverTimer);
+  hoverTimer = setTimeout(hideHoverCard, HOVER_HIDE_MS);
+}
+
+// Inline markers sit under a click-through overlay, so hovering is hit-tested from the field.
+// Only the focused field's markers: card actions edit currentTarget.
+function onEditableHover(el, e) {
+  const overlay = el === currentTarget && overlays.get(el);
+  const hit = overlay && findMarkerAt(overlay, e.clientX, e.clientY);
+  if (hit) queueHoverCard(hit);
+  else queueHideHoverCard();
+}
+
+function showHoverCard(span) {
+  if (!span.isConnected || !span.classList.contains("misspelled-word") || popupEl) return hideHoverCard();
+  if (hoverCard) hoverCard.remove();
+
+  const word = spanText(span);
+  const suggs = tryParseSuggestions(span.getAttribute("data-suggs"));
+  const category = CATEGORIES[normalizeCategory(span.getAttribute("data-category"))];
+  const edit = EDITS[span.getAttribute("data-edit")] || EDITS.word;
+  const reason = decodeURIComponent(span.getAttribute("data-reason") || "");
+  const count = occurrencesOf(span).length;
+
+  hoverCard = document.createElement("div");
+  hoverCard.className = "ollama-hover-card";
+  hoverCard.setAttribute("role", "group");
+  hoverCard.setAttribute("aria-label", `About "${word}"`);
+  hoverCard.innerHTML =
+    '<div class="ollama-hover-head"><b style="color:' + category.color + ';">' + category.label + '</b>' +
+      (edit.label ? ' · ' + edit.label : "") + '</div>' +
+    (suggs.length
+      ? '<div class="ollama-hover-suggs">' + suggs.map((x, i) =>
+          '<button type="button" class="ollama-hover-sugg" data-i="' + i + '">' + escapeHtml(suggestionLabel(word, x)) + '</button>'
+        ).join("") + '</div>'
+      : '<div class="ollama-hover-reason">No suggestion</div>') +
+    (reason ? '<div class="ollama-hover-reason">' + escapeHtml(reason) + '</div>' : "") +
+    '<div class="ollama-hover-count">' + (count === 1 ? "1 occurrence" : count + " occurrences") + ' in this field</div>' +
+    '<div class="ollama-hover-actions">' +
+      (suggs.length ? '<button type="button" data-act="replace-all">Replace all occurrences</button>' : "") +
+      '<button type="button" data-act="ignore-all">Ignore all occurrences</button>' +
+    '</div>';
+
+  hoverCard.addEventListener("mousedown", (e) => e.preventDefault()); // keep focus in the field
+  hoverCard.addEventListener("mouseenter", () => clearTimeout(hoverTimer));
+  hoverCard.addEventListener("mouseleave", queueHideHoverCard);
+  hoverCard.addEventListener("click", (e) => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+    const act = btn.getAttribute("data-act");
+    if (act === "replace-all") replaceAllOccurrences(span, suggs[0]);
+    else if (act === "ignore-all") ignoreInField(currentTarget, word);
+    else applyReplacementByIndex(span, suggs[parseInt(btn.getAttribute("data-i"), 10)]);
+    hideHoverCard();
+  });
+  document.body.appendChild(hoverCard);
+
+  // Below the span, or above it when there's no room
+  const rect = span.getBoundingClientRect();
+  const card = hoverCard.getBoundingClientRect();
+  const top = rect.bottom + 6 + card.height > window.innerHeight - 4 ? rect.top - card.height - 6 : rect.bottom + 6;
+  const left = Math.max(4, Math.min(rect.left, window.innerWidth - card.width - 4));
+  Object.assign(hoverCard.style, { top: top + "px", left: left + "px" });
+}
+
+function hideHoverCard() {
+  clearTimeout(hoverTimer);
+  if (hoverCard) hoverCard.remove();
+  hoverCard = null;
+  hoverSpan = null;
+}
+
+/* =========================
+   KEYBOARD WORKFLOW (commands, current error, screen-reader announcements)
+========================= */
+// In-page fallbacks for the chrome.commands shortcuts: Alt+Shift+<key>
+const KEY_COMMANDS = {
+  KeyN: "next-error",
+  KeyP: "previous-error",
+  KeyA: "accept-suggestion",
+  KeyS: "open-suggestions",
+  KeyI: "ignore-error",
+  KeyC: "autocorrect-field",
+};
+let activeMarker = null;
+let liveRegion = null;
+
+document.addEventListener("keydown", (e) => {
+  if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey) return;
+  const command = KEY_COMMANDS[e.code];
+  if (!command || !currentTarget) return;
+  // Where the combination types a character of its own (macOS Option+Shift, AltGr layouts) the user
+  // wants that character; chrome.commands still covers the shortcut there
+  if (e.key.length === 1 && e.key.toUpperCase() !== e.code.slice(3)) return;
+  const active = deepActiveElement();
+  const inScope = active === currentTarget || currentTarget.contains(active) ||
+    (floatingWindow && floatingWindow.contains(active));
+  if (!inScope) return;
+  e.preventDefault();
+  e.stopPropagation();
+  runCommand(command);
+}, true);
+
+function runCommand(command) {
+  if (command === "autocorrect-field") {
+    if (currentTarget) doAutoCorrectAll(currentTarget);
+    return;
+  }
+  const markers = currentMarkers();
+  if (!markers.length) {
+    announce("No spelling errors");
+    return;
+  }
+  const i = markers.indexOf(activeMarker);
+  if (command === "next-error") return setActiveMarker(markers[(i + 1) % markers.length], true);
+  if (command === "previous-error") return setActiveMarker(markers[(i - 1 + markers.length) % markers.length], true);
+
+  const m = i === -1 ? markers[0] : markers[i];
+  const start = parseInt(m.getAttribute("data-start"), 10);
+  const suggs = tryParseSuggestions(m.getAttribute("data-suggs"));
+  if (command === "open-suggestions") {
+    setActiveMarker(m);
+    showSuggestionPopup(m, suggs, { focus: true });
+    return;
+  }
+  if (command === "accept-suggestion") {
+    if (!suggs.length) return announce("No suggestion available");
+    applyReplacementByIndex(m, suggs[0]);
+    announce(`Replaced with "${suggs[0]}"`);
+  } else if (command === "ignore-error") {
+    markSpanResolved(m);
+    announce(`Ignored "${spanText(m)}"`);
+  } else {
+    return;
+  }
+  // Markers may have been re-rendered; continue with the next error after this one
+  const rest = currentMarkers();
+  const next = rest.find((r) => parseInt(r.getAttribute("data-start"), 10) >= start) || rest[0];
+  if (next) setActiveMarker(next, true);
+  else activeMarker = null;
+}
+
+// Unresolved markers for the focused field, in text order
+function currentMarkers() {
+  const root = displayMode === "panel"
+    ? panelText !== null && floatingWindow
+    : currentTarget && overlays.get(currentTarget);
+  if (!root) return [];
+  return Array.from(root.querySelectorAll(".misspelled-word"))
+    .sort((a, b) => parseInt(a.getAttribute("data-start"), 10) - parseInt(b.getAttribute("data-start"), 10));
+}
+
+function setActiveMarker(m, speak = false) {
+  if (activeMarker) activeMarker.classList.remove("ollama-current");
+  activeMarker = m;
+  if (!m) return;
+  m.classList.add("ollama-current");
+  if (floatingWindow && floatingWindow.contains(m)) m.scrollIntoView({ block: "nearest" });
+  if (speak) {
+    const markers = currentMarkers();
+    const suggs = tryParseSuggestions(m.getAttribute("data-suggs"));
+    announce(
+      `Error ${markers.indexOf(m) + 1} of ${markers.length}: "${spanText(m)}"` +
+      (suggs.length ? `. Suggestion: ${suggestionLabel(spanText(m), suggs[0])}` : "")
+    );
+  }
+}
+
+// Polite live region so screen readers hear navigation without moving focus out of the field
+function announce(message) {
+  if (!liveRegion) {
+    liveRegion = document.createElement("div");
+    liveRegion.setAttribute("role", "status");
+    liveRegion.setAttribute("aria-live", "polite");
+    liveRegion.className = "ollama-sr-only";
+    document.body.appendChild(liveRegion);
+  }
+  liveRegion.textContent = "";
+  setTimeout(() => liveRegion && (liveRegion.textContent = message), 50);
 }
 
 /* =========================
@@ -476,52 +1984,1366 @@ function showSuggestionPopup(span, suggestions) {
 function applyReplacementByIndex(span, replacement) {
   if (!currentTarget) return;
 
-  const oldText = span.textContent;
   const start = parseInt(span.getAttribute("data-start"), 10);
   const end = parseInt(span.getAttribute("data-end"), 10);
   if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return;
 
-  // Update the editor, suppressing the 'input' event we cause
-  const base = getTextFromElement(currentTarget);
-  const newText = base.slice(0, start) + replacement + base.slice(end);
-  setTextToElement(currentTarget, newText, { programmatic: true });
-
   // Update the span visually and mark as resolved
-  span.textContent = replacement;
-  span.style.textDecoration = "none";
-  span.style.color = "#111";
-  span.style.fontWeight = "normal";
-  span.classList.remove("misspelled-word");
+  const inOverlay = !!span.closest(".ollama-inline-overlay");
+  if (!inOverlay) span.textContent = replacement;
+  markSpanResolved(span);
+
+  replaceRangeByIndex(currentTarget, start, end, replacement);
+}
+
+// Write replacement over [start, end) of the current field's text, suppressing the 'input' event we cause.
+function replaceRangeByIndex(el, start, end, replacement) {
+  replaceRangesByIndex(el, [{ start, end, replacement }]);
+}
+
+// Several non-overlapping replacements as one edit (and one undo step).
+// Markers inside a replaced range no longer describe the text and are resolved; later ones shift.
+// keepCaret: the caret stays where the user left it (shifted) instead of jumping to the end.
+function replaceRangesByIndex(el, edits, { keepCaret = false } = {}) {
+  const sorted = edits.slice().sort((a, b) => a.start - b.start);
+  const shift = (pos) => pos + sorted.reduce((d, e) => (e.end <= pos ? d + e.replacement.length - (e.end - e.start) : d), 0);
+  const base = getTextFromElement(el);
+  let newText = "";
+  let cursor = 0;
+  sorted.forEach((e) => {
+    newText += base.slice(cursor, e.start) + e.replacement;
+    cursor = e.end;
+  });
+  newText += base.slice(cursor);
+  const caret = keepCaret ? caretOf(el) : null;
+  commitEdit(el, newText, caret && { start: shift(caret.start), end: shift(caret.end) }, caret);
+  if (panelText !== null) panelText = newText;
 
   // Shift later spans' indices so clicks remain accurate
-  const delta = replacement.length - oldText.length;
-  if (delta !== 0 && floatingWindow) {
-    const spans = floatingWindow.querySelectorAll(".misspelled-word");
-    spans.forEach((s) => {
-      const sStart = parseInt(s.getAttribute("data-start"), 10);
-      const sEnd = parseInt(s.getAttribute("data-end"), 10);
-      if (!Number.isFinite(sStart) || !Number.isFinite(sEnd)) return;
-      if (sStart >= end) {
-        s.setAttribute("data-start", String(sStart + delta));
-        s.setAttribute("data-end", String(sEnd + delta));
-      }
-    });
-  }
+  const spans = markerRoots().flatMap((root) => Array.from(root.querySelectorAll(".misspelled-word")));
+  spans.forEach((s) => {
+    const sStart = parseInt(s.getAttribute("data-start"), 10);
+    const sEnd = parseInt(s.getAttribute("data-end"), 10);
+    if (!Number.isFinite(sStart) || !Number.isFinite(sEnd)) return;
+    const hit = sorted.find((e) => sStart < e.end && sEnd > e.start);
+    if (hit) {
+      // A panel span replaced as a whole shows its new text
+      if (hit.start === sStart && hit.end === sEnd && !s.closest(".ollama-inline-overlay")) s.textContent = hit.replacement;
+      markSpanResolved(s);
+      return;
+    }
+    const delta = shift(sStart) - sStart;
+    if (delta === 0) return;
+    s.setAttribute("data-start", String(sStart + delta));
+    s.setAttribute("data-end", String(sEnd + delta));
+  });
+  refreshOverlay(el);
 
   // Invalidate UI snapshot so next *real* input will refresh cleanly
-  lastAppliedText.delete(currentTarget);
+  lastAppliedText.delete(el);
+}
+
+// Every still-flagged span in span's container with the same (normalized) text, span included
+function occurrencesOf(span) {
+  const root = markerRoots().find((r) => r.contains(span));
+  const norm = normalizeForCompare(spanText(span));
+  if (!root || !norm) return [span];
+  const seen = new Set();
+  return Array.from(root.querySelectorAll(".misspelled-word")).filter((s) => {
+    const start = s.getAttribute("data-start");
+    if (seen.has(start) || normalizeForCompare(spanText(s)) !== norm) return false;
+    seen.add(start);
+    return true;
+  });
+}
+
+function replaceAllOccurrences(span, replacement) {
+  if (!currentTarget) return;
+  // Suggestions were made for the word as the model reported it, whichever occurrence is hovered
+  const from = decodeURIComponent(span.getAttribute("data-word") || "") || spanText(span);
+  const edits = [];
+  occurrencesOf(span).forEach((s) => {
+    const start = parseInt(s.getAttribute("data-start"), 10);
+    const end = parseInt(s.getAttribute("data-end"), 10);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return;
+    edits.push({ start, end, replacement: matchInitialCase(from, spanText(s), replacement) });
+  });
+  if (!edits.length) return;
+  replaceRangesByIndex(currentTarget, edits);
+  announce(`Replaced ${edits.length} ${edits.length === 1 ? "occurrence" : "occurrences"} with "${replacement}"`);
+}
+
+// A suggestion made for "Teh" ("The") becomes "the" where the occurrence is "teh", and vice versa
+function matchInitialCase(from, to, replacement) {
+  const upper = (c) => !!c && c !== c.toLocaleLowerCase() && c === c.toLocaleUpperCase();
+  if (!replacement || upper(from[0]) === upper(to[0])) return replacement;
+  const first = String.fromCodePoint(replacement.codePointAt(0));
+  const rest = replacement.slice(first.length);
+  return (upper(to[0]) ? first.toLocaleUpperCase() : first.toLocaleLowerCase()) + rest;
 }
 
 /* =========================
-   AUTOCORRECT ALL (manual trigger)
+   CONTEXT MENU (check / correct the current selection)
 ========================= */
-function doAutoCorrectAll(el) {
-  const text = getTextFromElement(el);
+// Works on any selected text, including read-only page content; results are hints only
+function checkSelection(fallbackText) {
+  if (!enabled || !isSiteEnabled()) return;
+  const sel = getSelectionInfo();
+  if (sel.el && isFieldExcluded(sel.el)) return;
+  const text = sel.text.trim() ? sel.text : fallbackText;
   if (!text.trim()) return;
-  chrome.runtime.sendMessage({ type: "AUTOCORRECT_ALL", text, model }, (res) => {
-    if (!res || res.error) return;
-    setTextToElement(el, res.text || text, { programmatic: true });
-    removeUI();
-    lastAppliedText.delete(el);
+
+  const title = "🔎 Selection check";
+  pendingDiff = null;
+  showFloatingWindow('<span style="color:#777;">Checking selection…</span>', { title });
+  resolveLanguage(sel.anchor, text).then((language) => {
+    chrome.runtime.sendMessage({ type: "SPELLCHECK", text, model, language, ...profileFields() }, (res) => showSelectionResults(text, res));
   });
 }
+
+function showSelectionResults(text, res) {
+  const title = "🔎 Selection check";
+  if (!res || res.error) {
+    showFloatingWindow(escapeHtml("Check failed: " + (res?.error || "no response")), { title });
+    return;
+  }
+  const accepted = acceptCorrections(text, Array.isArray(res.corrections) ? res.corrections : [], null);
+  if (!accepted.length) {
+    showFloatingWindow(escapeHtml(text) + '<div style="margin-top:12px;color:#2e7d32;">✓ No issues found.</div>', { title });
+    return;
+  }
+  const summary = accepted.map((r) =>
+    '<div>' + escapeHtml(text.slice(r.start, r.end)) + ' → ' + escapeHtml((r.suggestions || []).join(", ")) + '</div>'
+  ).join("");
+  showFloatingWindow(
+    renderMarkedHTML(text, accepted, panelMarkStyle) +
+      '<div style="margin-top:12px;padding-top:8px;border-top:1px solid #eee;color:#444;">' + summary + '</div>',
+    { title: `${title} (${accepted.length} issue${accepted.length === 1 ? "" : "s"})`, readOnly: true }
+  );
+}
+
+// Corrects only the selected range of an editable; the result goes through the diff review
+function correctSelection() {
+  const { el, start, end, text } = getSelectionInfo();
+  if (!el || end <= start || !text.trim() || !canCheck(el)) return;
+  const original = getTextFromElement(el);
+  resolveLanguage(el, original).then((language) => {
+    chrome.runtime.sendMessage({ type: "AUTOCORRECT_ALL", text, model, language, ...profileFields(), fieldId: fieldId(el) }, (res) => {
+      if (!res || res.error || res.cancelled) return;
+      if (getTextFromElement(el) !== original) return; // edited meanwhile; offsets are stale
+      // The model trims; keep the selection's own surrounding whitespace
+      const lead = text.match(/^\s*/)[0];
+      const trail = text.match(/\s*$/)[0];
+      const fixed = lead + (res.text || text).trim() + trail;
+      currentTarget = el;
+      showAutoCorrectPreview(el, original, original.slice(0, start) + fixed + original.slice(end));
+    });
+  });
+}
+
+// Selected text plus, when it sits inside a field, that field and the offsets into its text
+function getSelectionInfo() {
+  const active = deepActiveElement();
+  if (active && (active.tagName === "TEXTAREA" || active.tagName === "INPUT") && typeof active.selectionStart === "number") {
+    const start = active.selectionStart;
+    const end = active.selectionEnd;
+    return { el: active, anchor: active, start, end, text: active.value.slice(start, end) };
+  }
+  const sel = selectionFor(active || document.body);
+  const text = sel ? sel.toString() : "";
+  const node = sel && sel.rangeCount ? sel.getRangeAt(0).commonAncestorContainer : null;
+  const anchor = node && (node.nodeType === 1 ? node : node.parentElement);
+  const host = editableRoot(node);
+  const caret = host && getCaret(host);
+  if (caret) return { el: host, anchor, ...caret, text: getTextFromElement(host).slice(caret.start, caret.end) };
+  return { el: null, anchor, start: 0, end: 0, text };
+}
+
+function editableRoot(node) {
+  let el = node && (node.nodeType === 1 ? node : node.parentElement);
+  if (!el || !el.isContentEditable) return null;
+  while (el.parentElement && el.parentElement.isContentEditable) el = el.parentElement;
+  return el;
+}
+
+/* =========================
+   PAGE AUDIT (popup: proofread every field and, optionally, the page text)
+========================= */
+// The popup asks the top frame, which owns the report and has every frame (editors often live
+// in iframes) check its own part. Frames send snapshots of their part to the top frame and get
+// jump / fix requests back, all relayed by the background (AUDIT_RELAY).
+const AUDIT_FIELD_ID = "audit";   // one scheduler key per frame: batches go out one after another
+const AUDIT_BATCH_CHARS = 4000;
+const AUDIT_MAX_BLOCKS = 300;     // page text blocks per frame
+const AUDIT_FRAME_GRACE_MS = 500; // embedded frames report in via the background; give them time to
+const AUDIT_TEXT_SELECTOR = "h1, h2, h3, h4, h5, h6, p, li, td, th, blockquote, figcaption, dt, dd, caption, summary";
+const AUDIT_SKIP_SELECTOR = [
+  EDITABLE_SELECTOR, OPT_OUT_SELECTOR, CODE_EDITOR_SELECTOR, '[aria-hidden="true"]',
+  ".ollama-floating-window", ".ollama-inline-overlay", ".ollama-suggestion-popup", ".ollama-hover-card",
+  ".ollama-rewrite-toolbar", ".ollama-autofix-chip", ".ollama-progress-chip",
+].join(", ");
+
+let auditRun = null; // this frame's part: { runId, targets, done, total, finished, error }
+
+function startPageAudit({ includeText = false } = {}) {
+  removeUI();
+  const report = {
+    runId: FRAME_TOKEN + "-" + Date.now().toString(36),
+    includeText: !!includeText,
+    url: location.href,
+    title: document.title,
+    checkedAt: new Date().toISOString(),
+    frames: new Map(), // frameId -> snapshot of that frame's part (0 = this one)
+    settled: false,
+  };
+  auditReport = report;
+  renderAuditReport();
+  relayAudit({ type: "AUDIT_RUN", runId: report.runId, includeText: report.includeText });
+  runAuditPart(report);
+  // A frame with nothing to check never reports, so "finished" can only mean "no one else spoke up"
+  setTimeout(() => {
+    report.settled = true;
+    if (auditReport === report) renderAuditReport();
+  }, AUDIT_FRAME_GRACE_MS);
+}
+
+async function runAuditPart({ runId, includeText }) {
+  stopAuditRun();
+  const run = { runId, targets: collectAuditTargets(includeText), done: 0, total: 0, finished: false, error: "" };
+  auditRun = run;
+  if (!run.targets.length && window !== window.top) return; // nothing to add to the report
+  publishAuditRun(run);
+
+  await Promise.all(run.targets.map(async (t) => (t.language = await resolveLanguage(t.el, t.text))));
+  const batches = auditBatches(run.targets);
+  run.total = batches.length;
+  for (const batch of batches) {
+    if (auditRun !== run) return; // closed or restarted
+    publishAuditRun(run);
+    const texts = batch.map((t) => t.text);
+    const { joined, starts } = joinSegments(texts);
+    const res = await new Promise((resolve) => chrome.runtime.sendMessage(
+      { type: "SPELLCHECK", text: joined, model, language: batch[0].language, ...profileFields(), fieldId: AUDIT_FIELD_ID },
+      resolve
+    ));
+    if (auditRun !== run) return;
+    if (!res || res.error || res.cancelled) {
+      run.error = res && res.offline ? "The spell-check service is unreachable." : "Check failed: " + ((res && (res.error || res.cancelled)) || "no response");
+      break;
+    }
+    const local = splitCorrectionsBySegment(Array.isArray(res.corrections) ? res.corrections : [], texts, starts);
+    batch.forEach((t, i) => (t.findings = acceptCorrections(t.text, local[i], t.kind === "field" ? t.el : null)));
+    run.done++;
+  }
+  run.finished = true;
+  publishAuditRun(run);
+}
+
+// runId: only that run, so a stop meant for an older report can't end the next one
+function stopAuditRun(runId) {
+  if (!auditRun || (runId && auditRun.runId !== runId)) return;
+  if (!auditRun.finished) chrome.runtime.sendMessage({ type: "CANCEL", kind: "SC", fieldId: AUDIT_FIELD_ID });
+  auditRun = null;
+}
+
+function stopPageAudit() {
+  if (!auditReport) return;
+  relayAudit({ type: "AUDIT_STOP", runId: auditReport.runId });
+  stopAuditRun(auditReport.runId);
+  auditReport = null;
+}
+
+// To one frame of this tab, or to all of them when frameId is omitted
+function relayAudit(payload, frameId) {
+  chrome.runtime.sendMessage({ type: "AUDIT_RELAY", payload, frameId });
+}
+
+// Elements stay in their frame; the report gets what it shows and exports
+function publishAuditRun(run) {
+  const snapshot = {
+    runId: run.runId,
+    done: run.done,
+    total: run.total,
+    finished: run.finished,
+    error: run.error,
+    targets: run.targets.map(({ kind, label, text, findings, fixed }) => ({ kind, label, text, findings, fixed })),
+  };
+  if (window === window.top) receiveAuditSnapshot({ snapshot, from: 0 });
+  else relayAudit({ type: "AUDIT_FRAME", snapshot }, 0);
+}
+
+function receiveAuditSnapshot({ snapshot, from }) {
+  if (!auditReport || snapshot.runId !== auditReport.runId) return;
+  auditReport.frames.set(from, snapshot);
+  renderAuditReport();
+}
+
+// Jump / fix, run by the frame that owns the target
+function runAuditAction({ runId, act, t: index, f }) {
+  const t = auditRun && auditRun.runId === runId && auditRun.targets[index];
+  if (!t) return;
+  if (act === "jump") jumpToAuditTarget(t, openFindings(t)[f]);
+  if (act === "fix" && fixAuditField(t)) publishAuditRun(auditRun);
+}
+
+// Visible, checkable fields with text, then (optionally) the outermost visible text blocks
+function collectAuditTargets(includeText) {
+  const visible = (el) => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== "hidden";
+  const targets = [];
+  findEditables(document).forEach((el) => {
+    const text = getTextFromElement(el);
+    if (!canCheck(el) || !visible(el) || text.trim().length < MIN_LEN) return;
+    targets.push({ kind: "field", el, label: fieldLabel(el), text, findings: null, fixed: 0 });
+  });
+  if (!includeText) return targets;
+
+  let blocks = 0;
+  for (const el of document.body.querySelectorAll(AUDIT_TEXT_SELECTOR)) {
+    if (blocks >= AUDIT_MAX_BLOCKS) break;
+    if ((el.parentElement && el.parentElement.closest(AUDIT_TEXT_SELECTOR)) || el.closest(AUDIT_SKIP_SELECTOR)) continue;
+    if (el.isContentEditable || !visible(el)) continue;
+    const text = (el.innerText ?? el.textContent).replace(/\s+/g, " ").trim();
+    if (text.length < MIN_LEN || !/\p{L}/u.test(text)) continue;
+    const snippet = text.length > 40 ? text.slice(0, 40) + "…" : text;
+    targets.push({ kind: "text", el, label: `${el.tagName.toLowerCase()}: ${snippet}`, text, findings: null, fixed: 0 });
+    blocks++;
+  }
+  return targets;
+}
+
+// What a user would call the field: its label, aria-label, placeholder or name
+function fieldLabel(el) {
+  const labelled = el.getAttribute("aria-labelledby");
+  const byId = labelled && labelled.split(/\s+/).map((id) => el.getRootNode().getElementById?.(id)?.textContent || "").join(" ");
+  const fromLabel = el.labels && el.labels.length ? el.labels[0].textContent : "";
+  const name = [el.getAttribute("aria-label"), byId, fromLabel, el.getAttribute("placeholder"), el.getAttribute("name"), el.id]
+    .map((x) => (x || "").replace(/\s+/g, " ").trim())
+    .find(Boolean);
+  return name || (el.isContentEditable ? "Rich text editor" : el.tagName.toLowerCase());
+}
+
+// Same-language targets packed up to AUDIT_BATCH_CHARS; a longer target goes alone
+function auditBatches(targets) {
+  const batches = [];
+  const open = new Map(); // language -> { batch, chars }
+  targets.forEach((t) => {
+    let slot = open.get(t.language);
+    if (!slot || (slot.chars && slot.chars + t.text.length > AUDIT_BATCH_CHARS)) {
+      slot = { batch: [], chars: 0 };
+      batches.push(slot.batch);
+      open.set(t.language, slot);
+    }
+    slot.batch.push(t);
+    slot.chars += t.text.length + SEGMENT_JOIN.length;
+  });
+  return batches;
+}
+
+function openFindings(t) {
+  return t.fixed ? [] : t.findings || [];
+}
+
+// Every frame's targets in report order: { frameId, index, t }
+function auditEntries(report) {
+  const out = [];
+  report.frames.forEach((snap, frameId) => snap.targets.forEach((t, index) => out.push({ frameId, index, t })));
+  return out;
+}
+
+function auditProgress(report) {
+  const snaps = Array.from(report.frames.values());
+  return {
+    done: snaps.reduce((n, snap) => n + snap.done, 0),
+    total: snaps.reduce((n, snap) => n + snap.total, 0),
+    finished: report.settled && snaps.every((snap) => snap.finished),
+    errors: Array.from(new Set(snaps.map((snap) => snap.error).filter(Boolean))),
+  };
+}
+
+// The window is drawn once and then patched, so progress updates keep its scroll position
+function renderAuditReport() {
+  const report = auditReport;
+  if (!report) return;
+  const slot = floatingWindow && floatingWindow.querySelector(".ollama-audit");
+  if (slot) {
+    slot.innerHTML = auditBodyHTML(report);
+    floatingWindow.querySelector(".overlay-footer").innerHTML = auditFooterHTML(report);
+    return;
+  }
+  showFloatingWindow('<div class="ollama-audit">' + auditBodyHTML(report) + '</div>', {
+    title: "📋 Proofreading report",
+    footer: auditFooterHTML(report),
+  });
+  floatingWindow.querySelector(".ollama-audit").addEventListener("click", onAuditClick);
+  floatingWindow.querySelector(".overlay-footer").addEventListener("click", onAuditClick);
+}
+
+function auditBodyHTML(report) {
+  const entries = auditEntries(report);
+  const progress = auditProgress(report);
+  const flagged = entries.filter(({ t }) => t.findings && (t.findings.length || t.fixed));
+  const issues = entries.reduce((n, { t }) => n + openFindings(t).length, 0);
+  const fields = entries.filter(({ t }) => t.kind === "field").length;
+  const blocks = entries.length - fields;
+  const scope = `${fields} field${fields === 1 ? "" : "s"}` +
+    (report.includeText ? ` and ${blocks} text block${blocks === 1 ? "" : "s"}` : "");
+
+  let summary;
+  if (!entries.length) summary = progress.finished ? "Nothing to check: no fields with text" + (report.includeText ? " and no page text" : "") + " found." : "Looking for text to check…";
+  else if (!progress.finished) summary = progress.total ? `Checking ${scope}… ${progress.done} of ${progress.total} batches checked` : `Checking ${scope}…`;
+  else summary = `${issues} issue${issues === 1 ? "" : "s"} in ${scope}` + (progress.done < progress.total ? ` (${progress.done} of ${progress.total} batches checked)` : "");
+
+  return '<div class="ollama-audit-summary" role="status">' + escapeHtml(summary) + '</div>' +
+    progress.errors.map((e) => '<div class="ollama-audit-error">' + escapeHtml(e) + '</div>').join("") +
+    (progress.finished && entries.length && !flagged.length && !progress.errors.length ? '<div class="ollama-audit-clean">✓ No issues found.</div>' : "") +
+    flagged.map(auditGroupHTML).join("");
+}
+
+function auditGroupHTML({ frameId, index, t }) {
+  const open = openFindings(t);
+  const ref = 'data-frame="' + frameId + '" data-t="' + index + '"';
+  const kind = (t.kind === "field" ? "Field" : "Text") + (frameId ? " in a frame" : "");
+  const head =
+    '<div class="ollama-audit-head">' +
+      '<span class="ollama-audit-kind">' + kind + '</span>' +
+      '<b class="ollama-audit-label">' + escapeHtml(t.label) + '</b>' +
+      '<span class="ollama-audit-count">' + open.length + '</span>' +
+    '</div>';
+  const actions =
+    '<div class="ollama-audit-actions">' +
+      '<button class="ollama-audit-btn" data-act="jump" ' + ref + '>' + (t.kind === "field" ? "Go to field" : "Show on page") + '</button>' +
+      (t.kind === "field" && open.some((r) => r.suggestions.length)
+        ? '<button class="ollama-audit-btn" data-act="fix" ' + ref + '>Fix all in this field</button>'
+        : "") +
+    '</div>';
+  const list = t.fixed
+    ? '<div class="ollama-audit-clean">✓ Fixed ' + t.fixed + ' issue' + (t.fixed === 1 ? "" : "s") + '</div>'
+    : '<ul class="ollama-audit-list">' + open.map((r, f) => {
+        const { color, label } = CATEGORIES[r.category] || CATEGORIES.spelling;
+        const word = t.text.slice(r.start, r.end);
+        return '<li data-act="jump" ' + ref + ' data-f="' + f + '" title="' + escapeHtml(label) + '">' +
+          '<span class="ollama-audit-word" style="color:' + color + ';">' + escapeHtml(word) + '</span>' +
+          (r.suggestions.length ? ' → ' + escapeHtml(r.suggestions.map((x) => suggestionLabel(word, x)).join(", ")) : "") +
+          (r.reason ? '<span class="ollama-audit-reason"> · ' + escapeHtml(r.reason) + '</span>' : "") +
+        '</li>';
+      }).join("") + '</ul>';
+  return '<section class="ollama-audit-group">' + head + actions + list + '</section>';
+}
+
+function auditFooterHTML(report) {
+  if (!auditProgress(report).finished) return '<button class="ollama-diff-footer-btn" data-act="stop">Stop</button>';
+  return '<button class="ollama-diff-footer-btn" data-act="close">Close</button>' +
+    '<button class="ollama-diff-footer-btn" data-act="rerun">Check again</button>' +
+    '<button class="ollama-diff-footer-btn" data-act="export-md">Export Markdown</button>' +
+    '<button class="ollama-diff-footer-btn primary" data-act="export-json">Export JSON</button>';
+}
+
+function onAuditClick(e) {
+  const report = auditReport;
+  const btn = e.target.closest("[data-act]");
+  if (!report || !btn) return;
+  const act = btn.getAttribute("data-act");
+  if (act === "jump" || act === "fix") {
+    const frameId = parseInt(btn.getAttribute("data-frame"), 10);
+    const msg = {
+      type: "AUDIT_ACTION",
+      runId: report.runId,
+      act,
+      t: parseInt(btn.getAttribute("data-t"), 10),
+      f: parseInt(btn.getAttribute("data-f"), 10),
+    };
+    if (frameId === 0) runAuditAction(msg);
+    else relayAudit(msg, frameId);
+  }
+  else if (act === "stop" || act === "close") removeUI();
+  else if (act === "rerun") startPageAudit({ includeText: report.includeText });
+  else if (act === "export-md") downloadText(auditFileName(report, "md"), auditMarkdown(report), "text/markdown");
+  else if (act === "export-json") downloadText(auditFileName(report, "json"), JSON.stringify(auditJSON(report), null, 2), "application/json");
+}
+
+// Fields get focus and the issue selected (while their text is as audited); text blocks flash
+function jumpToAuditTarget(t, finding) {
+  if (!t.el.isConnected) return;
+  t.el.scrollIntoView({ block: "center", behavior: "smooth" });
+  if (t.kind === "text") {
+    t.el.classList.add("ollama-audit-flash");
+    setTimeout(() => t.el.classList.remove("ollama-audit-flash"), 1600);
+    return;
+  }
+  t.el.focus({ preventScroll: true });
+  const first = finding || openFindings(t)[0];
+  if (first && getTextFromElement(t.el) === t.text) setCaret(t.el, { start: first.start, end: first.end });
+}
+
+// First suggestion for every open issue, as one undoable edit; issues are re-anchored if the field changed.
+// True when something was fixed.
+function fixAuditField(t) {
+  if (!t.el.isConnected) return false;
+  const text = getTextFromElement(t.el);
+  const edits = [];
+  openFindings(t).forEach((r) => {
+    if (!r.suggestions.length) return;
+    const original = t.text.slice(r.start, r.end);
+    const span = text === t.text ? [r.start, r.end] : anchorSpan(text, original, r.start, r.end);
+    if (!span || edits.some((e) => e.start < span[1] && e.end > span[0])) return;
+    edits.push({ start: span[0], end: span[1], replacement: matchInitialCase(r.word || original, original, r.suggestions[0]) });
+  });
+  if (!edits.length) return false;
+  // replaceRangesByIndex keeps currentTarget's markers in step, so the fixed field has to be it
+  currentTarget = t.el;
+  replaceRangesByIndex(t.el, edits);
+  t.fixed = edits.length;
+  announce(`Fixed ${edits.length} issue${edits.length === 1 ? "" : "s"} in ${t.label}`);
+  return true;
+}
+
+function auditJSON(report) {
+  const progress = auditProgress(report);
+  return {
+    url: report.url,
+    title: report.title,
+    checkedAt: report.checkedAt,
+    complete: progress.finished && progress.done === progress.total && !progress.errors.length,
+    targets: auditEntries(report).filter(({ t }) => openFindings(t).length).map(({ frameId, t }) => ({
+      kind: t.kind,
+      frame: frameId ? "embedded" : "top",
+      label: t.label,
+      issues: openFindings(t).map((r) => ({
+        text: t.text.slice(r.start, r.end),
+        suggestions: r.suggestions,
+        category: r.category,
+        edit: r.edit,
+        reason: r.reason,
+        start: r.start,
+        end: r.end,
+        context: auditContext(t.text, r),
+      })),
+    })),
+  };
+}
+
+function auditMarkdown(report) {
+  const data = auditJSON(report);
+  const count = data.targets.reduce((n, t) => n + t.issues.length, 0);
+  const lines = [
+    `# Proofreading report: ${data.title || data.url}`,
+    "",
+    `${data.url}  `,
+    `Checked ${data.checkedAt} · ${count} issue${count === 1 ? "" : "s"}` + (data.complete ? "" : " (incomplete)"),
+  ];
+  data.targets.forEach((t) => {
+    lines.push("", `## ${t.label} (${t.kind}, ${t.issues.length})`, "");
+    t.issues.forEach((x) => {
+      const fix = x.suggestions.length ? " → " + x.suggestions.map((s) => "`" + s + "`").join(", ") : "";
+      lines.push(`- \`${x.text}\`${fix} — ${x.category}${x.reason ? ": " + x.reason : ""}  `, `  > ${x.context}`);
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+function auditContext(text, r) {
+  const from = Math.max(0, r.start - 30);
+  const to = Math.min(text.length, r.end + 30);
+  return (from > 0 ? "…" : "") + text.slice(from, to).replace(/\s+/g, " ").trim() + (to < text.length ? "…" : "");
+}
+
+function auditFileName(report, ext) {
+  return `proofreading-${pageHost() || "page"}-${report.checkedAt.slice(0, 10)}.${ext}`;
+}
+
+function downloadText(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* =========================
+   REWRITE ACTIONS (selection toolbar + floating window)
+========================= */
+// Keys match REWRITE_ACTIONS in the background and backend/main.py
+const REWRITE_LABELS = {
+  shorten: "Shorten",
+  expand: "Expand",
+  simplify: "Simplify",
+  formal: "More formal",
+  translate: "Translate",
+};
+const REWRITE_MIN_CHARS = 3;
+let rewriteToolbar = null;
+let toolbarSelection = null;    // { el, start, end } the toolbar was shown for
+let rewriteToolbarTimer = null;
+
+document.addEventListener("selectionchange", queueRewriteToolbar);
+window.addEventListener("scroll", hideRewriteToolbar, true);
+document.addEventListener("keydown", (e) => e.key === "Escape" && hideRewriteToolbar());
+
+function queueRewriteToolbar() {
+  clearTimeout(rewriteToolbarTimer);
+  rewriteToolbarTimer = setTimeout(updateRewriteToolbar, 200);
+}
+
+function isRewritable(text) {
+  return text.trim().length >= REWRITE_MIN_CHARS && /\p{L}/u.test(text);
+}
+
+function updateRewriteToolbar() {
+  const sel = getSelectionInfo();
+  if (!selectionToolbar || !sel.el || sel.end <= sel.start || !canCheck(sel.el) || !isRewritable(sel.text)) {
+    hideRewriteToolbar();
+    return;
+  }
+  showRewriteToolbar(sel);
+}
+
+function rewriteButtonsHTML() {
+  return Object.entries(REWRITE_LABELS).map(([action, label]) =>
+    '<button type="button" class="ollama-rewrite-btn" data-rewrite="' + action + '">' + label + '</button>'
+  ).join("");
+}
+
+function showRewriteToolbar({ el, start, end }) {
+  toolbarSelection = { el, start, end };
+  if (!rewriteToolbar) {
+    rewriteToolbar = document.createElement("div");
+    rewriteToolbar.className = "ollama-rewrite-toolbar";
+    rewriteToolbar.setAttribute("role", "toolbar");
+    rewriteToolbar.setAttribute("aria-label", "Rewrite selection");
+    rewriteToolbar.innerHTML = rewriteButtonsHTML();
+    // A mousedown would move focus out of the field and collapse its selection
+    rewriteToolbar.addEventListener("mousedown", (e) => e.preventDefault());
+    rewriteToolbar.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-rewrite]");
+      const target = toolbarSelection;
+      if (!btn || !target) return;
+      requestRewrite(target.el, target.start, target.end, btn.getAttribute("data-rewrite"));
+    });
+    document.body.appendChild(rewriteToolbar);
+  }
+  // Above the selection, or below it when there's no room
+  const rect = textRangeRect(el, start, end);
+  const bar = rewriteToolbar.getBoundingClientRect();
+  const top = rect.top - bar.height - 6 < 4 ? rect.bottom + 6 : rect.top - bar.height - 6;
+  const left = Math.max(4, Math.min(rect.left, window.innerWidth - bar.width - 4));
+  Object.assign(rewriteToolbar.style, { top: top + "px", left: left + "px" });
+}
+
+function hideRewriteToolbar() {
+  if (rewriteToolbar) rewriteToolbar.remove();
+  rewriteToolbar = null;
+  toolbarSelection = null;
+}
+
+// Viewport rect of [start, end) in a field; textarea/input are measured with a throwaway mirror
+function textRangeRect(el, start, end) {
+  const box = el.getBoundingClientRect();
+  let rect = null;
+  if (el.isContentEditable) {
+    const range = rangeForTextOffsets(el, start, end);
+    rect = range && range.getBoundingClientRect();
+  } else {
+    const text = getTextFromElement(el);
+    const probe = document.createElement("div");
+    probe.className = "ollama-inline-overlay";
+    Object.assign(probe.style, { left: box.left + "px", top: box.top + "px", width: box.width + "px", height: box.height + "px" });
+    probe.innerHTML = '<div class="ollama-inline-mirror">' + escapeHtml(text.slice(0, start)) +
+      '<span>' + escapeHtml(text.slice(start, end)) + '</span> </div>';
+    document.body.appendChild(probe);
+    layoutMirror(el, probe);
+    rect = probe.querySelector("span").getBoundingClientRect();
+    probe.remove();
+  }
+  if (!rect || (!rect.width && !rect.height)) return box;
+  // A selection scrolled out of the field still anchors at its edge
+  const clampY = (y) => Math.min(Math.max(y, box.top), box.bottom);
+  return { left: Math.min(Math.max(rect.left, box.left), box.right), top: clampY(rect.top), bottom: clampY(rect.bottom) };
+}
+
+// Floating window buttons: a passage selected in the panel body (it mirrors the field text) or in the field
+function rewriteFromPanel(action) {
+  const el = currentTarget;
+  if (!el || !canCheck(el)) return;
+  const text = getTextFromElement(el);
+  const fromPanel = panelText === text ? panelSelectionOffsets() : null;
+  const caret = fromPanel || caretOf(el);
+  if (!caret || caret.end <= caret.start || !isRewritable(text.slice(caret.start, caret.end))) {
+    const hint = floatingWindow && floatingWindow.querySelector(".ollama-rewrite-hint");
+    if (hint) hint.textContent = "Select a passage first:";
+    announce("Select a passage in the field or the panel first");
+    return;
+  }
+  requestRewrite(el, caret.start, caret.end, action);
+}
+
+function panelSelectionOffsets() {
+  const body = floatingWindow && floatingWindow.querySelector(".spell-overlay");
+  const sel = window.getSelection();
+  if (!body || !sel || !sel.rangeCount || sel.isCollapsed) return null;
+  const r = sel.getRangeAt(0);
+  if (!body.contains(r.startContainer) || !body.contains(r.endContainer)) return null;
+  const pre = document.createRange();
+  pre.selectNodeContents(body);
+  pre.setEnd(r.startContainer, r.startOffset);
+  const start = pre.toString().length;
+  return { start, end: start + r.toString().length };
+}
+
+function translateTarget() {
+  return translateTo || (navigator.language || "en").split("-")[0];
+}
+
+function languageLabel(code) {
+  try {
+    return new Intl.DisplayNames([navigator.language || "en"], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+function requestRewrite(el, start, end, action) {
+  const original = getTextFromElement(el);
+  const passage = original.slice(start, end);
+  hideRewriteToolbar();
+  if (pendingRewrite && pendingRewrite.result === null) {
+    chrome.runtime.sendMessage({ type: "CANCEL", kind: "RW", fieldId: fieldId(pendingRewrite.el) });
+  }
+  removeUI();
+  currentTarget = el;
+  const job = { el, original, start, end, action, target: translateTarget(), result: null, error: null };
+  pendingRewrite = job;
+  renderRewriteWindow();
+
+  resolveLanguage(el, passage).then((language) => {
+    if (pendingRewrite !== job) return;
+    const message = {
+      type: "REWRITE", text: passage, action, target: job.target, model, language, ...profileFields(), fieldId: fieldId(el),
+    };
+    chrome.runtime.sendMessage(message, (res) => {
+      if (pendingRewrite !== job) return; // cancelled or replaced by another rewrite
+      if (!res || res.error || res.cancelled || !(res.text || "").trim()) {
+        job.error = res?.error || (res?.cancelled ? "cancelled" : "no result");
+      } else {
+        // The model trims; keep the selection's own surrounding whitespace
+        job.result = passage.match(/^\s*/)[0] + res.text.trim() + passage.match(/\s*$/)[0];
+      }
+      renderRewriteWindow();
+    });
+  });
+}
+
+function renderRewriteWindow() {
+  const job = pendingRewrite;
+  if (!job) return;
+  const passage = job.original.slice(job.start, job.end);
+  const label = REWRITE_LABELS[job.action] + (job.action === "translate" ? " → " + languageLabel(job.target) : "");
+  const caption = (t) => '<div class="ollama-rewrite-caption">' + t + '</div>';
+  let body = caption("Selected") + '<del class="ollama-rewrite-old">' + escapeHtml(passage) + '</del>';
+  if (job.error) body += '<div style="margin-top:12px;color:#c62828;">' + escapeHtml("Rewrite failed: " + job.error) + '</div>';
+  else if (job.result === null) body += '<div style="margin-top:12px;color:#777;">Rewriting…</div>';
+  else body += caption("Rewritten") + '<ins class="ollama-rewrite-new">' + escapeHtml(job.result) + '</ins>';
+  if (job.stale) body += '<div style="margin-top:12px;color:#c62828;">The selected passage changed in the field; nothing was replaced.</div>';
+
+  const done = (job.result !== null || !!job.error) && !job.stale;
+  showFloatingWindow(body, {
+    title: "✍️ " + label,
+    footer:
+      '<button class="ollama-diff-footer-btn" data-act="cancel">Cancel</button>' +
+      (done ? '<button class="ollama-diff-footer-btn" data-act="retry">Try again</button>' : "") +
+      '<button class="ollama-diff-footer-btn primary" data-act="replace"' + (job.result === null || job.stale ? " disabled" : "") + '>Replace</button>',
+  });
+  floatingWindow.querySelectorAll(".ollama-diff-footer-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const act = btn.getAttribute("data-act");
+      if (act === "replace") return applyRewrite();
+      if (act === "retry") return requestRewrite(job.el, job.start, job.end, job.action);
+      if (job.result === null && !job.error) {
+        chrome.runtime.sendMessage({ type: "CANCEL", kind: "RW", fieldId: fieldId(job.el) });
+      }
+      removeUI();
+    });
+  });
+}
+
+// Only the selected range changes; the rest of the field, its markers and undo history stay intact
+function applyRewrite() {
+  const job = pendingRewrite;
+  if (!job || job.result === null) return;
+  // Offsets index into the text we previewed; if the user kept typing, find the passage again
+  const text = getTextFromElement(job.el);
+  const passage = job.original.slice(job.start, job.end);
+  const span = text === job.original ? [job.start, job.end] : anchorSpan(text, passage, job.start, job.end);
+  if (!span || text.slice(span[0], span[1]) !== passage) {
+    job.stale = true;
+    renderRewriteWindow();
+    announce("The selected passage changed; nothing was replaced");
+    return;
+  }
+  removeUI();
+  currentTarget = job.el;
+  replaceRangeByIndex(job.el, span[0], span[1], job.result);
+  job.el.focus();
+  setCaret(job.el, { start: span[0], end: span[0] + job.result.length });
+  // The new passage is model output too; check it like anything the user typed
+  scheduleIdle(job.el);
+}
+
+/* =========================
+   EDIT HISTORY (undo/redo for extension-made edits)
+========================= */
+const HISTORY_LIMIT = 50;
+const editHistory = new WeakMap(); // el -> { undo: [entry], redo: [entry] }
+
+// Every write the extension makes goes through here so it can be reverted
+function commitEdit(el, newText, caretAfter = null, caretBefore = caretOf(el)) {
+  const before = getTextFromElement(el);
+  if (before === newText) return;
+  setTextToElement(el, newText, { programmatic: true });
+  if (caretAfter) setCaret(el, caretAfter);
+  caretAfter = caretAfter || (hasFocusWithin(el) ? getCaret(el) : null);
+  savedCaret.set(el, caretAfter);
+
+  if (!editHistory.has(el)) editHistory.set(el, { undo: [], redo: [] });
+  const h = editHistory.get(el);
+  h.undo.push({ before, after: newText, caretBefore, caretAfter });
+  if (h.undo.length > HISTORY_LIMIT) h.undo.shift();
+  h.redo = [];
+  updateHistoryButtons();
+}
+
+function undoEdit(el) {
+  return stepHistory(el, "undo", "redo", (e) => [e.after, e.before, e.caretBefore]);
+}
+function redoEdit(el) {
+  return stepHistory(el, "redo", "undo", (e) => [e.before, e.after, e.caretAfter]);
+}
+
+function stepHistory(el, from, to, pick) {
+  const h = el && editHistory.get(el);
+  const entry = h && h[from][h[from].length - 1];
+  if (!entry) return false;
+  const [expected, target, caret] = pick(entry);
+  const current = getTextFromElement(el);
+  if (current !== expected) {
+    // The user edited since; stored snapshots no longer line up with the field
+    editHistory.delete(el);
+    updateHistoryButtons();
+    return false;
+  }
+  h[from].pop();
+  h[to].push(entry);
+
+  setTextToElement(el, target, { programmatic: true });
+  el.focus();
+  setCaret(el, caret);
+  rebaseAfterJump(el, current, target);
+  updateHistoryButtons();
+  return true;
+}
+
+// Keep visible markers usable after an undo/redo, then re-check the restored text
+function rebaseAfterJump(el, before, after) {
+  rebaseOverlay(el);
+  if (floatingWindow && panelText !== null && !pendingDiff && el === currentTarget) {
+    const body = floatingWindow.querySelector(".spell-overlay");
+    const items = body ? rebaseItems(readMarkers(body), before, after) : [];
+    showFloatingWindow(renderMarkedHTML(after, items, panelMarkStyle, { interactive: true }), { text: after });
+  }
+  lastAppliedText.delete(el);
+  scheduleIdle(el);
+}
+
+// Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) revert our own edits; anything else stays native
+function onHistoryKeydown(el, e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = (e.key || "").toLowerCase();
+  if (key !== "z" && key !== "y") return;
+  const done = key === "y" || e.shiftKey ? redoEdit(el) : undoEdit(el);
+  if (done) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+}
+
+function updateHistoryButtons() {
+  if (!floatingWindow) return;
+  const h = currentTarget && editHistory.get(currentTarget);
+  [[".overlay-undo", h && h.undo.length], [".overlay-redo", h && h.redo.length]].forEach(([sel, on]) => {
+    const btn = floatingWindow.querySelector(sel);
+    if (!btn) return;
+    btn.style.opacity = on ? "1" : "0.35";
+    btn.style.pointerEvents = on ? "auto" : "none";
+  });
+}
+
+// Caret/selection as offsets into getTextFromElement(el)
+function getCaret(el) {
+  if (!el.isContentEditable) {
+    return typeof el.selectionStart === "number" ? { start: el.selectionStart, end: el.selectionEnd } : null;
+  }
+  const sel = selectionFor(el);
+  if (!sel || !sel.rangeCount) return null;
+  const r = sel.getRangeAt(0);
+  if (!el.contains(r.startContainer) || !el.contains(r.endContainer)) return null;
+  const pre = document.createRange();
+  pre.selectNodeContents(el);
+  pre.setEnd(r.startContainer, r.startOffset);
+  const start = pre.toString().length;
+  return { start, end: start + r.toString().length };
+}
+
+function hasFocusWithin(el) {
+  const active = deepActiveElement();
+  return !!active && (active === el || el.contains(active));
+}
+
+// Once focus has moved on, a contenteditable's selection is gone (and an input's may be stale)
+function saveCaret(el) {
+  const caret = getCaret(el);
+  if (caret) savedCaret.set(el, caret);
+}
+
+// Where the caret is, or where it was when the user left the field for the panel or a menu
+function caretOf(el) {
+  return hasFocusWithin(el) ? getCaret(el) : savedCaret.get(el) || null;
+}
+
+function setCaret(el, caret) {
+  if (!caret) return;
+  const len = getTextFromElement(el).length;
+  const start = Math.min(caret.start, len);
+  const end = Math.min(caret.end, len);
+  if (!el.isContentEditable) {
+    try { el.setSelectionRange(start, end); } catch {}
+    return;
+  }
+  const range = rangeForTextOffsets(el, start, end);
+  const sel = selectionFor(el);
+  if (!range || !sel) return;
+  sel.removeAllRanges();
+  sel.addRange(range);
+}
+
+/* =========================
+   AUTO-CORRECT AS YOU TYPE (continuous mode, per tab or site)
+========================= */
+const AUTOFIX_MIN_LEN = 3;        // shorter words are too often deliberate (abbreviations, chat)
+const AUTOFIX_MAX_EDITS = 2;      // letters added, dropped, changed or swapped
+const AUTOFIX_CHIP_MS = 6000;
+let autoFixChip = null;           // { node, el, applied: [{ start, from, to }], timer }
+
+window.addEventListener("scroll", hideAutoFixChip, true);
+
+function isAutoCorrectOn() {
+  return autoCorrectTab ?? autoCorrectSites.some((p) => hostMatches(pageHost(), p));
+}
+
+function setAutoCorrectTab(active) {
+  autoCorrectTab = typeof active === "boolean" ? active : null;
+  if (!isAutoCorrectOn()) hideAutoFixChip();
+  // Only text typed from now on is fair game
+  if (currentTarget) autoFixBase.set(currentTarget, getTextFromElement(currentTarget));
+}
+
+// After each idle check: fix confident errors in what was typed since the last pass, never the
+// word the caret is in (it may still be growing) and never while an IME composition is open
+function autoFixTyped(el, text, corrections) {
+  const base = autoFixBase.get(el);
+  autoFixBase.set(el, text);
+  if (!isAutoCorrectOn() || el !== currentTarget || composingIME.get(el) || base == null || base === text) return;
+
+  const { from, to } = typedRegion(base, text);
+  const caret = getCaret(el);
+  const fixes = acceptCorrections(text, corrections, el).filter((r) =>
+    r.start >= from && r.end <= to &&
+    !(caret && caret.start <= r.end && caret.end >= r.start) &&
+    isConfidentFix(text, r)
+  );
+  if (!fixes.length) return;
+
+  const edits = fixes.map((r) => {
+    const original = text.slice(r.start, r.end);
+    return { start: r.start, end: r.end, replacement: matchInitialCase(r.word || original, original, r.suggestions[0]) };
+  });
+  let delta = 0;
+  const applied = edits.map((e) => {
+    const at = e.start + delta;
+    delta += e.replacement.length - (e.end - e.start);
+    return { start: at, from: text.slice(e.start, e.end), to: e.replacement };
+  });
+  replaceRangesByIndex(el, edits, { keepCaret: true });
+  autoFixBase.set(el, getTextFromElement(el));
+  showAutoFixChip(el, applied);
+}
+
+// The stretch of after that differs from before, widened to the sentence the edit started in
+function typedRegion(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++;
+
+  let from = prefix;
+  while (from > 0 && !/[.!?。！？\n]/u.test(after[from - 1])) from--;
+  let to = after.length - suffix;
+  while (to < after.length && WORD_CHAR.test(after[to])) to++;
+  return { from, to };
+}
+
+// What a careful typist would fix without asking: a spelling slip a letter or two from its only
+// suggestion, or a doubled word. Names and acronyms (capitals past a sentence start) are left alone.
+function isConfidentFix(text, r) {
+  if (r.suggestions.length !== 1) return false;
+  const part = text.slice(r.start, r.end);
+  const sugg = r.suggestions[0];
+  if (r.edit === "delete") {
+    const words = part.trim().split(/\s+/);
+    return words.length === 2 && sameWords(words[0], words[1]) && sameWords(sugg, words[0]);
+  }
+  if (r.edit !== "word" || r.category !== "spelling") return false;
+  if (part.length < AUTOFIX_MIN_LEN || /[\p{N}_]/u.test(part) || /\p{Lu}/u.test(part.slice(1))) return false;
+  if (/^\p{Lu}/u.test(part) && !atSentenceStart(text, r.start)) return false;
+  const d = editDistance(part.toLocaleLowerCase(), sugg.toLocaleLowerCase());
+  return d > 0 && d <= AUTOFIX_MAX_EDITS && d * 3 <= part.length;
+}
+
+function atSentenceStart(text, i) {
+  let j = i;
+  while (j > 0 && /\s/.test(text[j - 1])) {
+    if (text[j - 1] === "\n") return true;
+    j--;
+  }
+  return j === 0 || /[.!?。！？]/u.test(text[j - 1]);
+}
+
+// Levenshtein distance that counts swapping two neighbouring letters ("teh") as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function showAutoFixChip(el, applied) {
+  hideAutoFixChip();
+  const first = applied[0];
+  const node = document.createElement("div");
+  node.className = "ollama-autofix-chip";
+  node.setAttribute("role", "status");
+  node.innerHTML =
+    '<span>Changed <del>' + escapeHtml(first.from) + '</del> → <b>' + escapeHtml(first.to) + '</b>' +
+    (applied.length > 1 ? ' and ' + (applied.length - 1) + ' more' : '') + '</span>' +
+    '<button type="button">Undo</button>';
+  node.addEventListener("mousedown", (e) => e.preventDefault()); // keep the caret in the field
+  node.querySelector("button").addEventListener("click", undoAutoFix);
+  document.body.appendChild(node);
+
+  // Under the last fixed word, which sits right behind the caret
+  const last = applied[applied.length - 1];
+  const rect = textRangeRect(el, last.start, last.start + last.to.length);
+  const chip = node.getBoundingClientRect();
+  const top = rect.bottom + 6 + chip.height > window.innerHeight - 4 ? rect.top - chip.height - 6 : rect.bottom + 6;
+  const left = Math.max(4, Math.min(rect.left, window.innerWidth - chip.width - 4));
+  Object.assign(node.style, { top: top + "px", left: left + "px" });
+
+  autoFixChip = { node, el, applied, timer: setTimeout(hideAutoFixChip, AUTOFIX_CHIP_MS) };
+}
+
+function hideAutoFixChip() {
+  if (!autoFixChip) return;
+  clearTimeout(autoFixChip.timer);
+  autoFixChip.node.remove();
+  autoFixChip = null;
+}
+
+// Put the original words back wherever they are now (the user may have typed on), and stop flagging them
+function undoAutoFix() {
+  if (!autoFixChip) return;
+  const { el, applied } = autoFixChip;
+  hideAutoFixChip();
+  const text = getTextFromElement(el);
+  const reverts = [];
+  applied.forEach(({ start, from, to }) => {
+    const span = anchorSpan(text, to, start, start + to.length);
+    if (span && !reverts.some((r) => r.start < span[1] && r.end > span[0])) {
+      reverts.push({ start: span[0], end: span[1], replacement: from });
+    }
+    ignoreInField(el, from);
+  });
+  if (!reverts.length) return;
+  replaceRangesByIndex(el, reverts, { keepCaret: true });
+  autoFixBase.set(el, getTextFromElement(el));
+  announce(reverts.length === 1 ? `Restored "${applied[0].from}"` : `Restored ${reverts.length} words`);
+}
+
+/* =========================
+   AUTOCORRECT ALL (manual trigger, streamed over a port)
+========================= */
+function doAutoCorrectAll(el) {
+  if (!canCheck(el)) return;
+  const text = getTextFromElement(el);
+  if (!text.trim()) return;
+  resolveLanguage(el, text).then((language) => streamAutoCorrect(el, text, language));
+}
+
+// The background forwards model output as it is generated; we show it live, then hand the
+// finished text to the diff review. Disconnecting the port is how "Stop" aborts the generation.
+function streamAutoCorrect(el, text, language) {
+  removeUI();
+  currentTarget = el;
+  const port = chrome.runtime.connect({ name: "AUTOCORRECT_STREAM" });
+  const stream = { el, original: text, port, received: "" };
+  correctionStream = stream;
+  renderStreamWindow();
+
+  port.onMessage.addListener((msg) => {
+    if (correctionStream !== stream) return;
+    if (msg.type === "chunk" || msg.type === "reset") {
+      stream.received = msg.type === "chunk" ? stream.received + msg.text : "";
+      updateStreamWindow();
+      return;
+    }
+    stopCorrectionStream();
+    if (msg.type === "cancelled") return removeUI();
+    if (msg.type === "error") {
+      const note = msg.offline ? "The spell-check service is unreachable." : "Auto-correct failed: " + msg.error;
+      showFloatingWindow(escapeHtml(note), { title: "✏️ Auto-correct" });
+      return;
+    }
+    // Never write straight back: let the user review what the model changed
+    if (getTextFromElement(el) !== text) {
+      showFloatingWindow(escapeHtml("The field changed while auto-correct was running; nothing applied."), { title: "✏️ Auto-correct" });
+      return;
+    }
+    showAutoCorrectPreview(el, text, msg.text || text);
+  });
+  // The background worker went away mid-run
+  port.onDisconnect.addListener(() => {
+    if (correctionStream !== stream) return;
+    correctionStream = null;
+    showFloatingWindow(escapeHtml("Auto-correct was interrupted."), { title: "✏️ Auto-correct" });
+  });
+  port.postMessage({ type: "START", text, model, language, ...profileFields(), fieldId: fieldId(el) });
+}
+
+function renderStreamWindow() {
+  showFloatingWindow(
+    '<span class="ollama-stream-text"></span><span class="ollama-stream-cursor" aria-hidden="true">▍</span>',
+    {
+      title: "✏️ Auto-correcting…",
+      footer:
+        '<span class="ollama-stream-progress" role="status">Waiting for the model…</span>' +
+        '<button class="ollama-diff-footer-btn" data-act="stop" title="Stop and discard the partial result">Stop</button>',
+    }
+  );
+  floatingWindow.querySelector('[data-act="stop"]').addEventListener("click", removeUI);
+}
+
+// Patch the open window in place; re-rendering it per chunk would reset scroll and selection
+function updateStreamWindow() {
+  const stream = correctionStream;
+  const out = floatingWindow && floatingWindow.querySelector(".ollama-stream-text");
+  if (!stream || !out) return;
+  out.textContent = stream.received;
+  // Corrected text is about as long as the original, which makes a fair progress estimate
+  const pct = Math.min(99, Math.round((stream.received.length / Math.max(1, stream.original.length)) * 100));
+  floatingWindow.querySelector(".ollama-stream-progress").textContent =
+    stream.received ? `${pct}% · ${stream.received.length} of ~${stream.original.length} characters` : "Waiting for the model…";
+  const body = floatingWindow.querySelector(".spell-overlay");
+  body.scrollTop = body.scrollHeight;
+}
+
+// Disconnecting aborts a running generation in the background; the partial text is dropped.
+// No UI change here: callers decide what to show next.
+function stopCorrectionStream() {
+  const stream = correctionStream;
+  if (!stream) return;
+  correctionStream = null;
+  try { stream.port.disconnect(); } catch {}
+}
+
+/* =========================
+   AUTOCORRECT DIFF PREVIEW (word-level, per-change accept/reject)
+========================= */
+const DIFF_MAX_CELLS = 4000000; // LCS table cap; beyond this the changed middle is one hunk
+
+function showAutoCorrectPreview(el, original, corrected) {
+  const hunks = diffWords(original, corrected);
+  if (!hunks.length) {
+    removeUI();
+    return;
+  }
+  removeUI();
+  pendingDiff = { el, original, hunks };
+  renderDiffWindow();
+}
+
+function renderDiffWindow() {
+  if (!pendingDiff) return;
+  const { original, hunks } = pendingDiff;
+  const accepted = hunks.filter((h) => h.state === "accepted").length;
+
+  let out = [];
+  let cursor = 0;
+  hunks.forEach((h, i) => {
+    out.push(escapeHtml(original.slice(cursor, h.start)));
+    out.push(
+      '<span class="ollama-diff-hunk ' + h.state + '" data-hunk="' + i + '">' +
+        (h.end > h.start ? '<del>' + escapeHtml(original.slice(h.start, h.end)) + '</del>' : "") +
+        (h.insert ? '<ins>' + escapeHtml(h.insert) + '</ins>' : "") +
+        '<span class="ollama-diff-actions">' +
+          '<button class="ollama-diff-btn" data-act="accepted" title="Accept change">✓</button>' +
+          '<button class="ollama-diff-btn" data-act="rejected" title="Reject change">✗</button>' +
+        '</span>' +
+      '</span>'
+    );
+    cursor = h.end;
+  });
+  out.push(escapeHtml(original.slice(cursor)));
+
+  showFloatingWindow(out.join(""), {
+    title: `✏️ Review auto-correct (${hunks.length} change${hunks.length === 1 ? "" : "s"})`,
+    footer:
+      '<button class="ollama-diff-footer-btn" data-act="cancel">Cancel</button>' +
+      '<button class="ollama-diff-footer-btn" data-act="apply"' + (accepted ? "" : " disabled") + '>Apply ' + accepted + '</button>' +
+      '<button class="ollama-diff-footer-btn primary" data-act="accept-all">Accept all</button>',
+  });
+
+  floatingWindow.querySelectorAll(".ollama-diff-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const i = parseInt(btn.closest(".ollama-diff-hunk").getAttribute("data-hunk"), 10);
+      const h = pendingDiff && pendingDiff.hunks[i];
+      if (!h) return;
+      const act = btn.getAttribute("data-act");
+      h.state = h.state === act ? "pending" : act; // clicking again un-decides
+      renderDiffWindow();
+    });
+  });
+  floatingWindow.querySelectorAll(".ollama-diff-footer-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const act = btn.getAttribute("data-act");
+      if (act === "cancel") return removeUI();
+      if (act === "accept-all") pendingDiff.hunks.forEach((h) => (h.state = "accepted"));
+      applyAcceptedHunks();
+    });
+  });
+}
+
+function applyAcceptedHunks() {
+  if (!pendingDiff) return;
+  const { el, original, hunks } = pendingDiff;
+  // Offsets index into the text we previewed; if the user kept typing, bail out
+  if (getTextFromElement(el) !== original) {
+    removeUI();
+    showFloatingWindow(
+      escapeHtml("The field changed since this preview, so nothing was applied. Run auto-correct again to review the new text."),
+      { title: "⚠️ Auto-correct not applied" }
+    );
+    announce("The field changed; nothing was applied");
+    return;
+  }
+  let text = original;
+  hunks
+    .filter((h) => h.state === "accepted")
+    .sort((a, b) => b.start - a.start)
+    .forEach((h) => (text = text.slice(0, h.start) + h.insert + text.slice(h.end)));
+
+  const applied = hunks.filter((h) => h.state === "accepted").length;
+  commitEdit(el, text);
+  removeUI();
+  removeOverlay(el);
+  lastAppliedText.delete(el);
+  // Keep undo one click away, whichever display mode is active
+  showFloatingWindow(
+    escapeHtml(`Applied ${applied} of ${hunks.length} change${hunks.length === 1 ? "" : "s"}. Use ↶ or Ctrl+Z in the field to restore the original text.`),
+    { title: "✅ Auto-correct applied" }
+  );
+}
+
+// Words, whitespace runs and single punctuation marks are the diff units
+function tokenizeForDiff(s) {
+  return s.match(/\s+|[\p{L}\p{N}_'’]+|[^\s\p{L}\p{N}_'’]/gu) || [];
+}
+
+// Returns hunks { start, end, insert, state } against offsets in `a`
+function diffWords(a, b) {
+  if (a === b) return [];
+  const A = tokenizeForDiff(a);
+  const B = tokenizeForDiff(b);
+
+  let pre = 0;
+  while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+  let suf = 0;
+  while (suf < A.length - pre && suf < B.length - pre && A[A.length - 1 - suf] === B[B.length - 1 - suf]) suf++;
+
+  const midA = A.slice(pre, A.length - suf);
+  const midB = B.slice(pre, B.length - suf);
+  const ops = [];
+  A.slice(0, pre).forEach((t) => ops.push(["=", t]));
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    midA.forEach((t) => ops.push(["-", t]));
+    midB.forEach((t) => ops.push(["+", t]));
+  } else {
+    lcsOps(midA, midB).forEach((op) => ops.push(op));
+  }
+  A.slice(A.length - suf).forEach((t) => ops.push(["=", t]));
+
+  // Fold runs of -/+ between equal tokens into hunks
+  const hunks = [];
+  let pos = 0;
+  let cur = null;
+  for (const [kind, tok] of ops) {
+    if (kind === "=") {
+      if (cur) hunks.push(cur);
+      cur = null;
+      pos += tok.length;
+      continue;
+    }
+    if (!cur) cur = { start: pos, end: pos, insert: "", state: "pending" };
+    if (kind === "-") {
+      pos += tok.length;
+      cur.end = pos;
+    } else {
+      cur.insert += tok;
+    }
+  }
+  if (cur) hunks.push(cur);
+  return hunks;
+}
+
+function lcsOps(A, B) {
+  const n = A.length, m = B.length;
+  const w = m + 1;
+  const dp = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i * w + j] = A[i] === B[j]
+        ? dp[(i + 1) * w + j + 1] + 1
+        : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (A[i] === B[j]) { ops.push(["=", A[i]]); i++; j++; }
+    else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) ops.push(["-", A[i++]]);
+    else ops.push(["+", B[j++]]);
+  }
+  while (i < n) ops.push(["-", A[i++]]);
+  while (j < m) ops.push(["+", B[j++]]);
+  return ops;
+}
@@ -0,0 +1,265 @@
+// options.js
+const statusEl = document.getElementById("status");
+const syncBox = document.getElementById("sync");
+const importFile = document.getElementById("importFile");
+const dictFile = document.getElementById("dictFile");
+const cacheStatsEl = document.getElementById("cacheStats");
+const profileSel = document.getElementById("profile");
+const customProfilesEl = document.getElementById("customProfiles");
+
+const ENDPOINT_KEYS = ["proxyUrl", "ollamaUrl"]; // "" = built-in default (see placeholders)
+
+const lines = (el) => el.value.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+const value = { show: (el, v) => (el.value = v), read: (el) => el.value };
+const number = { show: (el, v) => (el.value = v), read: (el) => parseInt(el.value, 10) };
+const list = { show: (el, v) => (el.value = v.join("\n")), read: lines };
+// { "mail.example.com": "formal" } <-> "mail.example.com = formal" lines
+const hostMap = {
+  show: (el, v) => (el.value = Object.entries(v).map(([host, id]) => `${host} = ${id}`).join("\n")),
+  read: (el) => Object.fromEntries(lines(el).map((l) => l.split(/\s*=\s*/)).filter((kv) => kv.length === 2)),
+};
+
+// Settings edited on change; endpoints are saved by their button (they may need a permission)
+const checkbox = { show: (el, v) => (el.checked = v), read: (el) => el.checked };
+
+const FIELDS = {
+  enabled: checkbox,
+  idleMs: number,
+  displayMode: value,
+  languageOverride: value,
+  selectionToolbar: checkbox,
+  translateTo: value,
+  shownCategories: {
+    show: (el, v) => el.querySelectorAll("input").forEach((box) => (box.checked = v.includes(box.value))),
+    read: (el) => Array.from(el.querySelectorAll("input:checked"), (box) => box.value),
+  },
+  profile: value,
+  siteProfiles: hostMap,
+  backendMode: value,
+  model: value,
+  cacheTtlMin: number,
+  cacheMaxEntries: number,
+  cacheMaxKB: number,
+  siteAllowList: list,
+  siteDenyList: list,
+  autoCorrectSites: list,
+  fieldRules: list,
+  userDictionary: list,
+};
+
+function showStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle("error", isError);
+}
+
+function render(settings) {
+  renderProfileOptions(settings);
+  renderCustomProfiles(settings.customProfiles);
+  Object.entries(FIELDS).forEach(([key, f]) => {
+    const el = document.getElementById(key);
+    if (el !== document.activeElement) f.show(el, settings[key]);
+  });
+  ENDPOINT_KEYS.forEach((key) => {
+    const el = document.getElementById(key);
+    if (el !== document.activeElement) el.value = settings[key];
+  });
+}
+
+function renderProfileOptions(settings) {
+  profileSel.innerHTML = "";
+  listProfiles(settings).forEach((p) => {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.name;
+    profileSel.appendChild(opt);
+  });
+}
+
+// One card per custom profile; left alone while the user is typing in it
+function renderCustomProfiles(profiles) {
+  if (customProfilesEl.contains(document.activeElement)) return;
+  customProfilesEl.innerHTML = "";
+  profiles.forEach((p) => {
+    const card = document.createElement("div");
+    card.className = "profile";
+    card.dataset.id = p.id;
+    card.innerHTML =
+      '<div class="row"><input type="text" class="profile-name" placeholder="Profile name" />' +
+      '<span class="muted"></span><button class="profile-remove">Delete</button></div>' +
+      '<textarea class="profile-template" placeholder="e.g. Keep the tone friendly; write in {{language}}."></textarea>';
+    card.querySelector(".profile-name").value = p.name;
+    card.querySelector(".muted").textContent = p.id;
+    card.querySelector(".profile-template").value = p.template;
+    card.querySelector(".profile-remove").addEventListener("click", () => {
+      card.remove();
+      saveCustomProfiles();
+    });
+    customProfilesEl.appendChild(card);
+  });
+}
+
+async function saveCustomProfiles() {
+  const profiles = Array.from(customProfilesEl.querySelectorAll(".profile"), (card) => ({
+    id: card.dataset.id,
+    name: card.querySelector(".profile-name").value,
+    template: card.querySelector(".profile-template").value,
+  }));
+  try {
+    // Where a deleted profile was the default or assigned to a site, reads fall back to "standard"
+    render(await saveSettings({ customProfiles: profiles }));
+    showStatus("Saved");
+  } catch (e) {
+    showStatus("Could not save: " + e.message, true);
+  }
+}
+
+async function renderSync() {
+  syncBox.checked = (await settingsArea()) === "sync";
+  syncBox.disabled = !chrome.storage.sync;
+}
+
+function renderCacheStats(stats) {
+  if (!stats || stats.error) {
+    cacheStatsEl.textContent = "Cache stats unavailable";
+    return;
+  }
+  const kb = (stats.bytes / 1024).toFixed(1);
+  const rate = Math.round(stats.hitRate * 100);
+  cacheStatsEl.textContent =
+    `${stats.entries} entries · ${kb} KB · ${rate}% hit rate (${stats.hits}/${stats.hits + stats.misses})`;
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  render(await loadSettings());
+  renderSync();
+  chrome.runtime.sendMessage({ type: "CACHE_STATS" }, renderCacheStats);
+  chrome.runtime.sendMessage({ type: "GET_MODELS" }, (res) => {
+    const datalist = document.getElementById("modelList");
+    ((res && res.models) || []).forEach((m) => {
+      const opt = document.createElement("option");
+      opt.value = m;
+      datalist.appendChild(opt);
+    });
+  });
+});
+
+onSettingsChanged((settings) => {
+  render(settings);
+  renderSync();
+});
+
+Object.entries(FIELDS).forEach(([key, f]) => {
+  const el = document.getElementById(key);
+  el.addEventListener("change", async () => {
+    try {
+      f.show(el, (await saveSettings({ [key]: f.read(el) }))[key]); // show the normalized value
+      showStatus("Saved");
+    } catch (e) {
+      showStatus("Could not save: " + e.message, true);
+    }
+  });
+});
+
+// Endpoints outside the manifest's host_permissions need the user's OK before the background can
+// reach them; rejects when it is refused (or asked for outside a user gesture)
+async function requestEndpointAccess(endpoints) {
+  const origins = ENDPOINT_KEYS.filter((key) => endpoints[key]).map((key) => new URL(endpoints[key]).origin + "/*");
+  if (!origins.length || (await chrome.permissions.contains({ origins }))) return;
+  const granted = await chrome.permissions.request({ origins });
+  if (!granted) throw new Error("Permission for the endpoint was denied");
+}
+
+// A click is a user gesture, so we can ask for access to non-default hosts here
+document.getElementById("endpointsSave").addEventListener("click", async () => {
+  const patch = {};
+  for (const key of ENDPOINT_KEYS) {
+    const raw = document.getElementById(key).value.trim();
+    if (!raw) {
+      patch[key] = "";
+      continue;
+    }
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      return showStatus(`Invalid URL: ${raw}`, true);
+    }
+    patch[key] = url.origin + url.pathname.replace(/\/+$/, "");
+  }
+  try {
+    await requestEndpointAccess(patch);
+  } catch (e) {
+    return showStatus(e.message, true);
+  }
+  render(await saveSettings(patch));
+  showStatus("Endpoints saved");
+});
+
+customProfilesEl.addEventListener("change", saveCustomProfiles);
+
+document.getElementById("profileAdd").addEventListener("click", async () => {
+  const { customProfiles } = await loadSettings();
+  const id = "custom-" + Date.now().toString(36);
+  render(await saveSettings({ customProfiles: customProfiles.concat({ id, name: "New profile", template: "" }) }));
+  customProfilesEl.querySelector(`[data-id="${id}"] .profile-name`)?.select();
+});
+
+document.getElementById("cacheClear").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "CACHE_CLEAR" }, renderCacheStats);
+});
+
+syncBox.addEventListener("change", async () => {
+  try {
+    await setSettingsSync(syncBox.checked);
+    showStatus(syncBox.checked ? "Settings now sync across devices" : "Settings are kept on this device only");
+  } catch (e) {
+    showStatus("Could not change sync: " + e.message, true);
+  }
+  renderSync();
+  render(await loadSettings());
+});
+
+document.getElementById("export").addEventListener("click", async () => {
+  const blob = new Blob([await exportSettings()], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "ollama-spell-settings.json";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+document.getElementById("import").addEventListener("click", () => importFile.click());
+importFile.addEventListener("change", async () => {
+  const file = importFile.files && importFile.files[0];
+  if (!file) return;
+  try {
+    // A file can point the endpoints anywhere; without access every request there would fail silently
+    render(await importSettings(await file.text(), requestEndpointAccess));
+    showStatus(`Imported settings from ${file.name}`);
+  } catch (e) {
+    showStatus("Import failed: " + e.message, true);
+  }
+  importFile.value = "";
+});
+
+document.getElementById("dictImport").addEventListener("click", () => dictFile.click());
+dictFile.addEventListener("change", async () => {
+  const file = dictFile.files && dictFile.files[0];
+  if (!file) return;
+  try {
+    const { userDictionary } = await loadSettings();
+    const next = mergeWords(userDictionary, parseWordList(await file.text()));
+    render(await saveSettings({ userDictionary: next }));
+    showStatus(`Imported ${next.length - userDictionary.length} new words from ${file.name}`);
+  } catch (e) {
+    showStatus("Import failed: " + e.message, true);
+  }
+  dictFile.value = "";
+});
+
+document.getElementById("reset").addEventListener("click", async () => {
+  if (!confirm("Reset all settings, including the personal dictionary, to their defaults?")) return;
+  render(await resetSettings());
+  showStatus("Settings reset to defaults");
+});
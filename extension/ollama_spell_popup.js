@@ -2,14 +2,37 @@
 const toggleBtn = document.getElementById("toggle");
 const healthEl = document.getElementById("health");
 const modelSel = document.getElementById("model");
+const backendModeSel = document.getElementById("backendMode");
+const endpointInput = document.getElementById("endpoint");
+const endpointSaveBtn = document.getElementById("endpointSave");
 const debounceInput = document.getElementById("debounce");
-let autoCorrectActive = false;
+const displayModeSel = document.getElementById("displayMode");
+const languageSel = document.getElementById("language");
+const profileSel = document.getElementById("profile");
+const categoryBoxes = Array.from(document.querySelectorAll("#categories input[type=checkbox]"));
 const autoBtn = document.getElementById("autocorrect");
+const autoSiteBox = document.getElementById("autocorrectSite");
+const auditBtn = document.getElementById("audit");
+const auditTextBox = document.getElementById("auditText");
+const auditStatusEl = document.getElementById("auditStatus");
+const cacheStatsEl = document.getElementById("cacheStats");
+const cacheClearBtn = document.getElementById("cacheClear");
+const siteToggleBtn = document.getElementById("siteToggle");
+const siteHostEl = document.getElementById("siteHost");
+const siteProfileSel = document.getElementById("siteProfile");
+const openOptionsBtn = document.getElementById("openOptions");
+const dictWordInput = document.getElementById("dictWord");
+const dictAddBtn = document.getElementById("dictAdd");
+const dictListEl = document.getElementById("dictList");
+const dictCountEl = document.getElementById("dictCount");
+const dictImportBtn = document.getElementById("dictImport");
+const dictExportBtn = document.getElementById("dictExport");
 
+// Fresh probe; the background also stores the result as "connectionStatus"
 async function checkHealth() {
   return new Promise((resolve) => {
     chrome.runtime.sendMessage({ type: "HEALTH" }, (res) => {
-      resolve(!!(res && res.ok));
+      resolve(res || { online: false, error: "no response" });
     });
   });
 }
@@ -25,58 +48,392 @@ function setEnabledUI(enabled) {
   toggleBtn.textContent = enabled ? "Disable" : "Enable";
 }
 
+const DEFAULT_ENDPOINTS = { proxy: "http://localhost:8000", direct: "http://localhost:11434" };
+
+// Health + model list for whichever backend is configured
+async function refreshBackendStatus() {
+  healthEl.textContent = "Checking Ollama…";
+  renderConnection(await checkHealth());
+
+  const models = await loadModels();
+  const { model } = await loadSettings();
+  modelSel.innerHTML = "";
+  (models.length ? models : [model]).forEach((m) => {
+    const opt = document.createElement("option");
+    opt.value = m;
+    opt.textContent = m;
+    modelSel.appendChild(opt);
+  });
+  modelSel.value = models.includes(model) || !models.length ? model : models[0];
+}
+
+function renderConnection(status) {
+  if (!status || status.online == null) return;
+  if (!status.online) {
+    healthEl.textContent = "🔴 Ollama not reachable";
+    healthEl.title = status.error || "";
+    return;
+  }
+  const load = status.modelLoaded == null
+    ? ""
+    : status.modelLoaded ? ` · ${status.model} loaded` : ` · ${status.model} not loaded (first check is slow)`;
+  healthEl.textContent = `🟢 Ollama connected · ${status.latencyMs} ms${load}`;
+  healthEl.title = "Last checked " + new Date(status.checkedAt).toLocaleTimeString();
+}
+
+// The background re-probes periodically; keep the line current while the popup is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.connectionStatus) renderConnection(changes.connectionStatus.newValue);
+});
+
+function endpointKey(mode) {
+  return mode === "direct" ? "ollamaUrl" : "proxyUrl";
+}
+
+function renderEndpoint(mode, data) {
+  endpointInput.placeholder = DEFAULT_ENDPOINTS[mode];
+  endpointInput.value = data[endpointKey(mode)] || DEFAULT_ENDPOINTS[mode];
+}
+
+function renderSettings(settings) {
+  setEnabledUI(settings.enabled);
+  backendModeSel.value = settings.backendMode;
+  renderEndpoint(settings.backendMode, settings);
+  debounceInput.value = settings.idleMs;
+  displayModeSel.value = settings.displayMode;
+  languageSel.value = settings.languageOverride;
+  categoryBoxes.forEach((box) => (box.checked = settings.shownCategories.includes(box.value)));
+  renderProfileOptions(profileSel, settings);
+  profileSel.value = settings.profile;
+}
+
+function renderProfileOptions(select, settings, first) {
+  select.innerHTML = "";
+  const options = first ? [first] : [];
+  listProfiles(settings).forEach((p) => options.push({ id: p.id, name: p.name }));
+  options.forEach(({ id, name }) => {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = name;
+    select.appendChild(opt);
+  });
+}
+
 document.addEventListener("DOMContentLoaded", async () => {
-  // load state
-  chrome.storage.local.get(["spellCheckEnabled", "model", "debounceMs"], async (data) => {
-    const enabled = data.spellCheckEnabled ?? true;
-    setEnabledUI(enabled);
-
-    const ok = await checkHealth();
-    healthEl.textContent = ok ? "🟢 Ollama connected" : "🔴 Ollama not reachable";
-
-    const models = await loadModels();
-    modelSel.innerHTML = "";
-    (models.length ? models : ["llama3"]).forEach((m) => {
-      const opt = document.createElement("option");
-      opt.value = m;
-      opt.textContent = m;
-      modelSel.appendChild(opt);
-    });
-    const currentModel = data.model || (models[0] || "llama3");
-    modelSel.value = currentModel;
+  const settings = await loadSettings();
+  renderSettings(settings);
+  renderDictionary(settings.userDictionary);
+  loadSiteToggle();
+  chrome.runtime.sendMessage({ type: "CACHE_STATS" }, renderCacheStats);
+  await refreshBackendStatus();
+});
 
-    debounceInput.value = data.debounceMs || 800;
+// Changes made elsewhere (options page, another synced device) show up here too
+onSettingsChanged((settings, keys) => {
+  renderSettings(settings);
+  if (keys.includes("userDictionary")) renderDictionary(settings.userDictionary);
+  if (["siteAllowList", "siteDenyList", "siteProfiles", "profile", "customProfiles"].some((k) => keys.includes(k))) {
+    renderSiteToggle(settings);
+  }
+  if (keys.includes("autoCorrectSites")) getAutoCorrectTab().then((tabState) => renderAutoCorrect(settings, tabState));
+});
+
+// Content scripts and the background pick every change up through storage.onChanged
+toggleBtn.addEventListener("click", async () => {
+  const { enabled } = await loadSettings();
+  setEnabledUI((await saveSettings({ enabled: !enabled })).enabled);
+});
+
+modelSel.addEventListener("change", () => saveSettings({ model: modelSel.value }));
+
+debounceInput.addEventListener("change", async () => {
+  debounceInput.value = (await saveSettings({ idleMs: parseInt(debounceInput.value, 10) })).idleMs;
+});
+
+backendModeSel.addEventListener("change", async () => {
+  const settings = await saveSettings({ backendMode: backendModeSel.value });
+  renderEndpoint(settings.backendMode, settings);
+  refreshBackendStatus();
+});
+
+openOptionsBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+
+// A click is a user gesture, so we can ask for access to non-default hosts here
+endpointSaveBtn.addEventListener("click", () => {
+  const mode = backendModeSel.value;
+  let url;
+  try {
+    url = new URL(endpointInput.value.trim() || DEFAULT_ENDPOINTS[mode]);
+  } catch {
+    healthEl.textContent = "⚠️ Invalid URL";
+    return;
+  }
+  const base = url.origin + url.pathname.replace(/\/+$/, "");
+  chrome.permissions.request({ origins: [url.origin + "/*"] }, (granted) => {
+    if (!granted) {
+      healthEl.textContent = "⚠️ Permission for " + url.origin + " denied";
+      return;
+    }
+    endpointInput.value = base;
+    saveSettings({ [endpointKey(mode)]: base }).then(refreshBackendStatus);
   });
 });
 
-toggleBtn.addEventListener("click", () => {
-  chrome.storage.local.get("spellCheckEnabled", (data) => {
-    const current = data.spellCheckEnabled ?? true;
-    const next = !current;
-    chrome.storage.local.set({ spellCheckEnabled: next }, () => {
-      setEnabledUI(next);
-      chrome.runtime.sendMessage({ type: "SPELL_CHECK_TOGGLE", enabled: next });
-    });
+displayModeSel.addEventListener("change", () => saveSettings({ displayMode: displayModeSel.value }));
+
+categoryBoxes.forEach((box) =>
+  box.addEventListener("change", () => {
+    saveSettings({ shownCategories: categoryBoxes.filter((b) => b.checked).map((b) => b.value) });
+  })
+);
+
+// "" = detect per field from lang attributes and the text itself
+languageSel.addEventListener("change", () => saveSettings({ languageOverride: languageSel.value }));
+
+// Tone for "Auto-correct all" and checks; sites with their own assignment keep theirs
+profileSel.addEventListener("change", () => saveSettings({ profile: profileSel.value }));
+
+/* =========================
+   CACHE (limits are on the options page)
+========================= */
+function renderCacheStats(stats) {
+  if (!stats || stats.error) {
+    cacheStatsEl.textContent = "Cache stats unavailable";
+    return;
+  }
+  const kb = (stats.bytes / 1024).toFixed(1);
+  const rate = Math.round(stats.hitRate * 100);
+  cacheStatsEl.textContent =
+    `${stats.entries} entries · ${kb} KB · ${rate}% hit rate (${stats.hits}/${stats.hits + stats.misses})`;
+}
+
+cacheClearBtn.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ type: "CACHE_CLEAR" }, renderCacheStats);
+});
+
+/* =========================
+   SITE RULES
+========================= */
+let activeHost = "";
+let activeTabId = null;
+
+function getActiveTab() {
+  return new Promise((resolve) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve((tabs && tabs[0]) || null));
   });
+}
+
+function tabHost(tab) {
+  try {
+    const url = new URL((tab && tab.url) || "");
+    return /^https?:$/.test(url.protocol) ? url.hostname : "";
+  } catch {
+    return "";
+  }
+}
+
+async function loadSiteToggle() {
+  const tab = await getActiveTab();
+  activeHost = tabHost(tab);
+  activeTabId = tab ? tab.id : null;
+  const settings = await loadSettings();
+  renderSiteToggle(settings);
+  renderAutoCorrect(settings, await getAutoCorrectTab());
+  auditBtn.disabled = !activeHost || activeTabId == null;
+}
+
+function renderSiteToggle(settings) {
+  const { siteAllowList: allow, siteDenyList: deny } = settings;
+  renderSiteProfile(settings);
+  if (!activeHost) {
+    siteToggleBtn.disabled = true;
+    siteHostEl.textContent = "Not available on this page";
+    return;
+  }
+  const denied = deny.some((p) => hostMatches(activeHost, p));
+  const notAllowed = allow.length > 0 && !allow.some((p) => hostMatches(activeHost, p));
+  siteToggleBtn.disabled = false;
+  siteToggleBtn.textContent = denied || notAllowed ? "Enable on this site" : "Disable on this site";
+  siteHostEl.textContent = activeHost;
+}
+
+siteToggleBtn.addEventListener("click", async () => {
+  let { siteAllowList: allow, siteDenyList: deny } = await loadSettings();
+  const denied = deny.some((p) => hostMatches(activeHost, p));
+  const notAllowed = allow.length > 0 && !allow.some((p) => hostMatches(activeHost, p));
+
+  if (denied) deny = deny.filter((p) => !hostMatches(activeHost, p));
+  else if (notAllowed) allow = allow.concat(activeHost);
+  else deny = deny.concat(activeHost);
+
+  renderSiteToggle(await saveSettings({ siteAllowList: allow, siteDenyList: deny }));
+});
+
+// Shows the assignment that applies here (same longest-pattern rule as the content script);
+// picking one stores it under the exact host, broader patterns are edited on the options page
+function renderSiteProfile(settings) {
+  renderProfileOptions(siteProfileSel, settings, { id: "", name: `Default (${findProfile(settings, settings.profile).name})` });
+  siteProfileSel.disabled = !activeHost;
+  let best = "";
+  Object.keys(settings.siteProfiles).forEach((pattern) => {
+    if (hostMatches(activeHost, pattern) && pattern.length > best.length) best = pattern;
+  });
+  siteProfileSel.value = best ? settings.siteProfiles[best] : "";
+}
+
+siteProfileSel.addEventListener("change", async () => {
+  const { siteProfiles } = await loadSettings();
+  const next = { ...siteProfiles };
+  if (siteProfileSel.value) next[activeHost] = siteProfileSel.value;
+  else delete next[activeHost];
+  renderSiteToggle(await saveSettings({ siteProfiles: next }));
+});
+
+/* =========================
+   AUTO-CORRECT AS YOU TYPE
+========================= */
+// The tab switch lives in the background (it forwards changes to the tab's frames); null = follow the site
+function getAutoCorrectTab(active) {
+  const msg = { type: "AUTOCORRECT_TAB", tabId: activeTabId };
+  if (active !== undefined) msg.active = active;
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(msg, (res) => resolve(res ? res.active : null));
+  });
+}
+
+function siteAutoCorrect(settings) {
+  return settings.autoCorrectSites.some((p) => hostMatches(activeHost, p));
+}
+
+function renderAutoCorrect(settings, tabState) {
+  const on = tabState ?? siteAutoCorrect(settings);
+  autoBtn.disabled = !activeHost || activeTabId == null;
+  autoBtn.textContent = on ? "Turn off in this tab" : "Turn on in this tab";
+  autoBtn.dataset.on = on ? "1" : "";
+  autoSiteBox.disabled = !activeHost;
+  autoSiteBox.checked = siteAutoCorrect(settings);
+}
+
+autoBtn.addEventListener("click", async () => {
+  const tabState = await getAutoCorrectTab(!autoBtn.dataset.on);
+  renderAutoCorrect(await loadSettings(), tabState);
 });
 
-modelSel.addEventListener("change", () => {
-  const val = modelSel.value;
-  chrome.storage.local.set({ model: val }, () => {
-    chrome.runtime.sendMessage({ type: "MODEL_SET", model: val });
+// The site choice replaces any tab override, so the tab follows what was just picked
+autoSiteBox.addEventListener("change", async () => {
+  const { autoCorrectSites } = await loadSettings();
+  const next = autoSiteBox.checked
+    ? autoCorrectSites.concat(activeHost)
+    : autoCorrectSites.filter((p) => !hostMatches(activeHost, p));
+  const settings = await saveSettings({ autoCorrectSites: next });
+  renderAutoCorrect(settings, await getAutoCorrectTab(null));
+});
+
+/* =========================
+   PROOFREAD PAGE
+========================= */
+// The top frame owns the report and brings in the embedded frames; the popup closes once it starts
+auditBtn.addEventListener("click", () => {
+  chrome.tabs.sendMessage(activeTabId, { type: "AUDIT_PAGE", includeText: auditTextBox.checked }, { frameId: 0 }, (res) => {
+    if (chrome.runtime.lastError || !res) {
+      auditStatusEl.textContent = "⚠️ Can't reach this page; reload it and try again.";
+      return;
+    }
+    if (!res.started) {
+      auditStatusEl.textContent = "Spell checking is off on this page.";
+      return;
+    }
+    window.close();
   });
 });
 
-debounceInput.addEventListener("change", () => {
-  const ms = Math.max(200, parseInt(debounceInput.value || "800", 10));
-  chrome.storage.local.set({ debounceMs: ms }, () => {
-    chrome.runtime.sendMessage({ type: "DEBOUNCE_SET", ms });
+/* =========================
+   PERSONAL DICTIONARY
+========================= */
+async function loadDictionary() {
+  return (await loadSettings()).userDictionary;
+}
+async function saveDictionary(words) {
+  return (await saveSettings({ userDictionary: words })).userDictionary;
+}
+
+function renderDictionary(words) {
+  dictListEl.innerHTML = "";
+  words
+    .slice()
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((w) => {
+      const li = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = w;
+      label.title = "Double-click to edit";
+      label.addEventListener("dblclick", () => editDictionaryWord(li, label, w));
+      const rm = document.createElement("button");
+      rm.className = "remove";
+      rm.textContent = "×";
+      rm.title = "Remove";
+      rm.addEventListener("click", async () => {
+        const current = await loadDictionary();
+        renderDictionary(await saveDictionary(current.filter((x) => x !== w)));
+      });
+      li.appendChild(label);
+      li.appendChild(rm);
+      dictListEl.appendChild(li);
+    });
+  dictCountEl.textContent = words.length === 1 ? "1 word" : `${words.length} words`;
+}
+
+// Inline edit: swap the label for an input; Enter/blur saves, Escape cancels
+function editDictionaryWord(li, label, oldWord) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = oldWord;
+  li.replaceChild(input, label);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const commit = async (save) => {
+    if (done) return;
+    done = true;
+    const next = input.value.trim();
+    if (!save || !next || next === oldWord) return renderDictionary(await loadDictionary());
+    const current = (await loadDictionary()).filter((x) => x !== oldWord);
+    renderDictionary(await saveDictionary(mergeWords(current, [next])));
+  };
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") commit(true);
+    if (e.key === "Escape") commit(false);
   });
+  input.addEventListener("blur", () => commit(true));
+}
+
+async function addDictionaryWord() {
+  const w = dictWordInput.value.trim();
+  if (!w) return;
+  const current = await loadDictionary();
+  renderDictionary(await saveDictionary(mergeWords(current, [w])));
+  dictWordInput.value = "";
+}
+
+dictAddBtn.addEventListener("click", addDictionaryWord);
+dictWordInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") addDictionaryWord();
+});
+
+// The OS file chooser closes the popup before a file comes back, so importing happens on the options page
+dictImportBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("ollama_spell_options.html#dictionary") });
+  window.close();
 });
 
-autoBtn.addEventListener("click", () => {
-  // set the text that auto correct is active on
-  autoCorrectActive = !autoCorrectActive;
-  autoBtn.textContent = autoCorrectActive ? "Stop Auto-correct" : "Start Auto-correct";
-  chrome.runtime.sendMessage({ type: "AUTOCORRECT_ACTIVE" });
+dictExportBtn.addEventListener("click", async () => {
+  const words = await loadDictionary();
+  const blob = new Blob([words.join("\n") + "\n"], { type: "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "ollama-spell-dictionary.txt";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 });
@@ -0,0 +1,289 @@
+// settings.js — shared by the background worker, content script, popup and options page
+// Every user setting lives here: defaults, schema version, migrations and which storage area holds them.
+
+/* =========================
+   SCHEMA
+========================= */
+const SETTINGS_VERSION = 1;
+const SETTINGS_CATEGORIES = ["spelling", "grammar", "punctuation", "style"];
+
+// Tone profiles steer both prompts; custom ones ({ id, name, template }) live in settings.customProfiles.
+// Templates may use {{language}} and {{site}}, filled in per request by the background.
+const BUILTIN_PROFILES = [
+  { id: "standard", name: "Standard", template: "" },
+  {
+    id: "minimal",
+    name: "Minimal fixes only",
+    template: "Fix only clear spelling mistakes and outright grammatical errors. Never rephrase, restyle or change word choice, punctuation style or tone.",
+  },
+  {
+    id: "formal",
+    name: "Formal",
+    template: "This is formal writing such as a customer email. Prefer complete sentences, standard punctuation and a polite, professional register; treat slang, contractions and casual phrasing as style issues.",
+  },
+  {
+    id: "casual",
+    name: "Casual",
+    template: "This is a casual chat message. Accept informal words, contractions, slang, lowercase sentence starts and emoji; only fix real typos and errors that hurt clarity.",
+  },
+];
+
+const SETTINGS_DEFAULTS = {
+  enabled: true,
+  model: "llama3",
+  idleMs: 900,                          // quiet time before a field is checked
+  displayMode: "inline",                // "inline" underlines or "panel" review window
+  languageOverride: "",                 // BCP 47 code; "" = detect per field
+  shownCategories: SETTINGS_CATEGORIES, // error categories to display
+  profile: "standard",                  // tone profile used where no site assignment applies
+  siteProfiles: {},                     // host pattern -> profile id
+  customProfiles: [],                   // [{ id, name, template }]
+  selectionToolbar: true,               // rewrite toolbar next to text selected in a field
+  translateTo: "",                      // target of the "Translate" rewrite; "" = browser language
+  backendMode: "proxy",                 // "proxy" (FastAPI server) or "direct" (Ollama)
+  proxyUrl: "",                         // "" = built-in default endpoint
+  ollamaUrl: "",
+  cacheTtlMin: 24 * 60,
+  cacheMaxEntries: 500,
+  cacheMaxKB: 2048,
+  siteAllowList: [],
+  siteDenyList: [],
+  autoCorrectSites: [],                 // host patterns where obvious typos are fixed as you type
+  fieldRules: [],
+  userDictionary: [],
+};
+const SETTINGS_KEYS = Object.keys(SETTINGS_DEFAULTS);
+
+// Bookkeeping that always stays in chrome.storage.local (never synced)
+const SETTINGS_VERSION_KEY = "settingsVersion";
+const SETTINGS_SYNC_KEY = "settingsSync";
+
+// MIGRATIONS[n] upgrades stored data from version n to n + 1
+const MIGRATIONS = [
+  // 0 -> 1: unversioned keys from the popup-only era
+  (data) => {
+    const out = { ...data };
+    if ("spellCheckEnabled" in out) out.enabled = out.spellCheckEnabled;
+    if (typeof out.debounceMs === "number") out.idleMs = out.debounceMs;
+    delete out.spellCheckEnabled;
+    delete out.debounceMs;
+    return out;
+  },
+];
+const LEGACY_KEYS = ["spellCheckEnabled", "debounceMs"];
+
+/* =========================
+   NORMALIZATION
+========================= */
+const clampInt = (v, min, max, fallback) =>
+  Number.isFinite(Number(v)) ? Math.min(max, Math.max(min, Math.round(Number(v)))) : fallback;
+const stringList = (v) => (Array.isArray(v) ? v.filter((x) => typeof x === "string") : []);
+
+function normalizeProfiles(v) {
+  const seen = new Set(BUILTIN_PROFILES.map((p) => p.id));
+  return (Array.isArray(v) ? v : []).flatMap((p) => {
+    if (!p || typeof p.id !== "string" || !p.id.trim() || seen.has(p.id.trim())) return [];
+    seen.add(p.id.trim());
+    const name = typeof p.name === "string" && p.name.trim() ? p.name.trim() : p.id.trim();
+    return [{ id: p.id.trim(), name, template: typeof p.template === "string" ? p.template : "" }];
+  });
+}
+
+// Anything missing or malformed falls back to its default, so readers never re-validate
+function normalizeSettings(raw = {}) {
+  const d = SETTINGS_DEFAULTS;
+  const customProfiles = normalizeProfiles(raw.customProfiles);
+  const profileIds = new Set(BUILTIN_PROFILES.concat(customProfiles).map((p) => p.id));
+  const siteProfiles = {};
+  if (raw.siteProfiles && typeof raw.siteProfiles === "object") {
+    Object.entries(raw.siteProfiles).forEach(([host, id]) => {
+      if (host.trim() && profileIds.has(id)) siteProfiles[host.trim().toLowerCase()] = id;
+    });
+  }
+  return {
+    enabled: typeof raw.enabled === "boolean" ? raw.enabled : d.enabled,
+    model: typeof raw.model === "string" && raw.model.trim() ? raw.model.trim() : d.model,
+    idleMs: clampInt(raw.idleMs, 200, 10000, d.idleMs),
+    displayMode: raw.displayMode === "panel" ? "panel" : "inline",
+    languageOverride: typeof raw.languageOverride === "string" ? raw.languageOverride.trim() : "",
+    shownCategories: Array.isArray(raw.shownCategories)
+      ? raw.shownCategories.filter((c) => SETTINGS_CATEGORIES.includes(c))
+      : d.shownCategories,
+    profile: profileIds.has(raw.profile) ? raw.profile : d.profile,
+    siteProfiles,
+    customProfiles,
+    selectionToolbar: typeof raw.selectionToolbar === "boolean" ? raw.selectionToolbar : d.selectionToolbar,
+    translateTo: typeof raw.translateTo === "string" ? raw.translateTo.trim() : "",
+    backendMode: raw.backendMode === "direct" ? "direct" : "proxy",
+    proxyUrl: typeof raw.proxyUrl === "string" ? raw.proxyUrl.trim() : "",
+    ollamaUrl: typeof raw.ollamaUrl === "string" ? raw.ollamaUrl.trim() : "",
+    cacheTtlMin: clampInt(raw.cacheTtlMin, 1, 60 * 24 * 365, d.cacheTtlMin),
+    cacheMaxEntries: clampInt(raw.cacheMaxEntries, 10, 100000, d.cacheMaxEntries),
+    cacheMaxKB: clampInt(raw.cacheMaxKB, 64, 1024 * 1024, d.cacheMaxKB),
+    siteAllowList: stringList(raw.siteAllowList),
+    siteDenyList: stringList(raw.siteDenyList),
+    autoCorrectSites: stringList(raw.autoCorrectSites),
+    fieldRules: stringList(raw.fieldRules),
+    userDictionary: stringList(raw.userDictionary),
+  };
+}
+
+function migrateData(data, fromVersion) {
+  let out = data;
+  for (let v = Math.max(0, fromVersion | 0); v < SETTINGS_VERSION; v++) out = MIGRATIONS[v](out);
+  return out;
+}
+
+/* =========================
+   PROFILES
+========================= */
+function listProfiles(settings) {
+  return BUILTIN_PROFILES.concat(settings.customProfiles || []);
+}
+
+// Unknown ids (e.g. a deleted custom profile) fall back to "standard"
+function findProfile(settings, id) {
+  return listProfiles(settings).find((p) => p.id === id) || BUILTIN_PROFILES[0];
+}
+
+// "{{site}}" -> vars.site; unknown variables are left as typed so the user can spot them
+function renderProfileTemplate(template, vars) {
+  return String(template || "")
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => (Object.hasOwn(vars, name) ? String(vars[name] ?? "") : m))
+    .trim();
+}
+
+/* =========================
+   PERSONAL DICTIONARY
+========================= */
+// Case-insensitive de-dupe, keeping the first spelling the user entered
+function mergeWords(existing, incoming) {
+  const seen = new Set(existing.map((w) => w.toLowerCase()));
+  const out = existing.slice();
+  incoming.forEach((raw) => {
+    const w = String(raw || "").trim();
+    if (!w || seen.has(w.toLowerCase())) return;
+    seen.add(w.toLowerCase());
+    out.push(w);
+  });
+  return out;
+}
+
+// Accepts a JSON array of strings or plain text with one word per line
+function parseWordList(text) {
+  const trimmed = (text || "").trim();
+  if (trimmed.startsWith("[")) {
+    try {
+      const arr = JSON.parse(trimmed);
+      if (Array.isArray(arr)) return arr.filter((w) => typeof w === "string");
+    } catch {}
+  }
+  return trimmed.split(/\r?\n/);
+}
+
+/* =========================
+   SITE PATTERNS
+========================= */
+// Site lists, site profiles and auto-correct sites all use this: "example.com" and "*.example.com"
+// both cover the domain and its subdomains; a pasted URL counts as its host
+function hostMatches(host, pattern) {
+  const p = String(pattern || "").trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, "").replace(/[/:].*$/, "").replace(/^\*\./, "");
+  if (!p) return false;
+  const h = (host || "").toLowerCase();
+  return h === p || h.endsWith("." + p);
+}
+
+/* =========================
+   STORAGE
+========================= */
+async function settingsArea() {
+  const { [SETTINGS_SYNC_KEY]: sync } = await chrome.storage.local.get(SETTINGS_SYNC_KEY);
+  return sync && chrome.storage.sync ? "sync" : "local";
+}
+
+// Reads never write: only the background's migrateStoredSettings() persists upgrades
+async function loadSettings() {
+  const area = await settingsArea();
+  const [{ [SETTINGS_VERSION_KEY]: version = 0 }, raw] = await Promise.all([
+    chrome.storage.local.get(SETTINGS_VERSION_KEY),
+    chrome.storage[area].get(SETTINGS_KEYS.concat(LEGACY_KEYS)),
+  ]);
+  return normalizeSettings(migrateData(raw, version));
+}
+
+// Partial update; unknown keys are dropped, values normalized
+async function saveSettings(patch) {
+  const known = {};
+  SETTINGS_KEYS.forEach((k) => k in patch && (known[k] = patch[k]));
+  const next = normalizeSettings({ ...(await loadSettings()), ...known });
+  const out = {};
+  Object.keys(known).forEach((k) => (out[k] = next[k]));
+  await chrome.storage[await settingsArea()].set(out);
+  return next;
+}
+
+async function migrateStoredSettings() {
+  const { [SETTINGS_VERSION_KEY]: version = 0 } = await chrome.storage.local.get(SETTINGS_VERSION_KEY);
+  if (version >= SETTINGS_VERSION) return;
+  const area = await settingsArea();
+  const raw = await chrome.storage[area].get(SETTINGS_KEYS.concat(LEGACY_KEYS));
+  const next = normalizeSettings(migrateData(raw, version));
+  await chrome.storage[area].set(next);
+  await chrome.storage[area].remove(LEGACY_KEYS);
+  await chrome.storage.local.set({ [SETTINGS_VERSION_KEY]: SETTINGS_VERSION });
+}
+
+// Switching areas carries the current values over, so nothing is lost either way
+async function setSettingsSync(enabled) {
+  if (enabled && !chrome.storage.sync) throw new Error("chrome.storage.sync is unavailable");
+  const current = await loadSettings();
+  if (enabled) {
+    // Another device may have synced first; its values win over this one's.
+    // sync caps items at 8 KB, so a very large dictionary makes this throw and nothing flips.
+    const remote = await chrome.storage.sync.get(SETTINGS_KEYS);
+    await chrome.storage.sync.set({ ...current, ...remote });
+  } else {
+    await chrome.storage.local.set(current);
+  }
+  await chrome.storage.local.set({ [SETTINGS_SYNC_KEY]: !!enabled });
+}
+
+// cb(settings, changedKeys) whenever a setting changes in the active area (or the area flips)
+function onSettingsChanged(cb) {
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    const flipped = area === "local" && changes[SETTINGS_SYNC_KEY];
+    const keys = Object.keys(changes).filter((k) => SETTINGS_KEYS.includes(k));
+    if (!flipped && (!keys.length || area !== (await settingsArea()))) return;
+    cb(await loadSettings(), flipped ? SETTINGS_KEYS : keys);
+  });
+}
+
+/* =========================
+   IMPORT / EXPORT
+========================= */
+const SETTINGS_FORMAT = "ollama-spell-settings";
+
+async function exportSettings() {
+  return JSON.stringify({ format: SETTINGS_FORMAT, version: SETTINGS_VERSION, settings: await loadSettings() }, null, 2);
+}
+
+// Accepts our own export (any older version) or a bare settings object.
+// approve(next) sees the result before it is stored and can throw to cancel the import.
+async function importSettings(text, approve = async () => {}) {
+  const parsed = JSON.parse(text);
+  if (!parsed || typeof parsed !== "object") throw new Error("Not a settings file");
+  const wrapped = parsed.format === SETTINGS_FORMAT;
+  if (wrapped && parsed.version > SETTINGS_VERSION) throw new Error("Settings file is from a newer version");
+  const data = wrapped ? migrateData(parsed.settings || {}, parsed.version) : parsed;
+  const next = normalizeSettings({ ...(await loadSettings()), ...data });
+  await approve(next);
+  await chrome.storage[await settingsArea()].set(next);
+  return next;
+}
+
+async function resetSettings() {
+  const next = normalizeSettings({});
+  await chrome.storage[await settingsArea()].set(next);
+  return next;
+}